@@ -81,6 +81,12 @@ exports.forgetPasswordValidator = [
 ];
 
 exports.verifyResetCodeValidator = [
+  check("email")
+    .notEmpty()
+    .withMessage("Email is required")
+    .isEmail()
+    .withMessage("Invalid email address"),
+
   check("resetCode")
     .notEmpty()
     .withMessage("Reset code is required")
@@ -128,4 +134,19 @@ exports.googleLoginValidator = [
     .withMessage("Google ID token is required"),
 
   validatorMiddleware,
-];
\ No newline at end of file
+];
+exports.sessionIdValidator = [
+  check("id").isMongoId().withMessage("Invalid session id format"),
+
+  validatorMiddleware,
+];
+
+exports.unlockTokenValidator = [
+  check("token")
+    .isHexadecimal()
+    .withMessage("Invalid unlock link")
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid unlock link"),
+
+  validatorMiddleware,
+];
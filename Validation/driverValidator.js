@@ -0,0 +1,243 @@
+const { check } = require("express-validator");
+const validatorMiddleware = require("../middlewares/validatorMiddleware");
+const { isValidTimezone } = require("../utils/Scheduling/bookingWindow");
+
+// Items every checklist submission may carry, files are checked against the
+// checklist by the controller. Expiry dates are sent per item,
+// e.g. documentsExpiry[personalDrivingLicense]=2027-05-01
+const onboardingItemsChecks = () => [
+  check("documentsExpiry.*")
+    .isISO8601()
+    .withMessage("Expiry dates must be valid dates")
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error("Expired documents can't be submitted");
+      }
+      return true;
+    }),
+
+  check(["bankDetails.accountHolder", "bankDetails.bankName"])
+    .if(check("bankDetails").exists())
+    .notEmpty()
+    .withMessage("Account holder and bank name are required")
+    .isString()
+    .trim(),
+
+  check("bankDetails.iban")
+    .if(check("bankDetails").exists())
+    .notEmpty()
+    .withMessage("IBAN is required")
+    .isIBAN()
+    .withMessage("Invalid IBAN"),
+
+  check("quizAcknowledged")
+    .optional()
+    .isBoolean()
+    .withMessage("quizAcknowledged must be Boolean"),
+];
+
+// Vehicle type is checked against the vehicle class catalog by the controller
+exports.submitOnboardingValidator = [
+  check("country")
+    .optional()
+    .toUpperCase()
+    .isISO31661Alpha2()
+    .withMessage("Country must be an ISO 3166-1 alpha-2 code"),
+
+  check("vehicle.type")
+    .notEmpty()
+    .withMessage("Vehicle type is required")
+    .isString()
+    .withMessage("Vehicle type must be a string")
+    .trim()
+    .toLowerCase(),
+
+  check(["vehicle.model", "vehicle.color", "vehicle.licensePlate"])
+    .optional()
+    .isString()
+    .withMessage("Vehicle details must be strings")
+    .trim(),
+
+  ...onboardingItemsChecks(),
+
+  validatorMiddleware,
+];
+
+exports.resubmitDocumentsValidator = [
+  check("vehicleId").optional().isMongoId().withMessage("Invalid vehicle id"),
+
+  ...onboardingItemsChecks(),
+
+  validatorMiddleware,
+];
+
+exports.getOnboardingChecklistValidator = [
+  check("country")
+    .optional()
+    .toUpperCase()
+    .isISO31661Alpha2()
+    .withMessage("Country must be an ISO 3166-1 alpha-2 code"),
+
+  check("vehicleType").optional().trim().toLowerCase(),
+
+  validatorMiddleware,
+];
+
+exports.addVehicleValidator = [
+  check("type")
+    .notEmpty()
+    .withMessage("Vehicle type is required")
+    .isString()
+    .withMessage("Vehicle type must be a string")
+    .trim()
+    .toLowerCase(),
+
+  check("licensePlate")
+    .notEmpty()
+    .withMessage("License plate is required")
+    .isString()
+    .withMessage("License plate must be a string")
+    .trim(),
+
+  check(["model", "color"])
+    .optional()
+    .isString()
+    .withMessage("Vehicle details must be strings")
+    .trim(),
+
+  ...onboardingItemsChecks(),
+
+  validatorMiddleware,
+];
+
+exports.vehicleIdValidator = [
+  check("vehicleId").isMongoId().withMessage("Invalid vehicle id"),
+
+  validatorMiddleware,
+];
+
+exports.updateDriverStatusValidator = [
+  check("id").isMongoId().withMessage("Invalid driver id"),
+
+  check("status")
+    .notEmpty()
+    .withMessage("Status is required")
+    .isIn(["accepted", "rejected", "suspended"])
+    .withMessage("Status must be one of: accepted, rejected, suspended"),
+
+  check("reason")
+    .if(check("status").isIn(["rejected", "suspended"]))
+    .notEmpty()
+    .withMessage("A reason is required when rejecting or suspending a driver")
+    .isString()
+    .withMessage("Reason must be a string")
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+
+  validatorMiddleware,
+];
+
+exports.updateVehicleStatusValidator = [
+  check("id").isMongoId().withMessage("Invalid driver id"),
+  check("vehicleId").isMongoId().withMessage("Invalid vehicle id"),
+
+  check("status")
+    .isIn(["accepted", "rejected"])
+    .withMessage("Status must be either accepted or rejected"),
+
+  check("reason")
+    .if(check("status").equals("rejected"))
+    .notEmpty()
+    .withMessage("A reason is required when rejecting a vehicle"),
+
+  validatorMiddleware,
+];
+
+const timeOfDay = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+exports.updateShiftsValidator = [
+  check("timezone")
+    .optional()
+    .custom((value) => {
+      if (!isValidTimezone(value)) {
+        throw new Error("Timezone must be a valid IANA timezone");
+      }
+      return true;
+    }),
+
+  check("autoAvailability")
+    .optional()
+    .isBoolean()
+    .withMessage("autoAvailability must be Boolean")
+    .toBoolean(),
+
+  check("shifts")
+    .optional()
+    .isArray({ max: 28 })
+    .withMessage("Shifts must be a list of at most 28 shifts"),
+
+  check("shifts.*.day")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Shift day must be between 0 (Sunday) and 6 (Saturday)")
+    .toInt(),
+
+  check(["shifts.*.start", "shifts.*.end"])
+    .matches(timeOfDay)
+    .withMessage("Shift times must be HH:mm"),
+
+  check("shifts.*.end").custom((end, { req, path }) => {
+    const index = path.match(/\[(\d+)\]/)[1];
+    if (end === req.body.shifts[index].start) {
+      throw new Error("A shift can't end when it starts");
+    }
+    return true;
+  }),
+
+  validatorMiddleware,
+];
+
+exports.addTimeOffValidator = [
+  check("from")
+    .notEmpty()
+    .withMessage("from is required")
+    .isISO8601()
+    .withMessage("from must be a valid ISO 8601 date"),
+
+  check("to")
+    .notEmpty()
+    .withMessage("to is required")
+    .isISO8601()
+    .withMessage("to must be a valid ISO 8601 date")
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.from)) {
+        throw new Error("to must be after from");
+      }
+      if (new Date(value) <= new Date()) {
+        throw new Error("Time off must end in the future");
+      }
+      return true;
+    }),
+
+  check("reason")
+    .optional()
+    .isString()
+    .withMessage("Reason must be a string")
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
+
+  validatorMiddleware,
+];
+
+exports.timeOffIdValidator = [
+  check("timeOffId").isMongoId().withMessage("Invalid time off id"),
+
+  validatorMiddleware,
+];
+
+exports.updateAvailabilityValidator = [
+  check("vehicleId").optional().isMongoId().withMessage("Invalid vehicle id"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,25 @@
+const { check } = require("express-validator");
+const validatorMiddleware = require("../middlewares/validatorMiddleware");
+
+exports.getMyEarningsValidator = [
+  check(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("from and to must be valid ISO 8601 dates"),
+
+  check("to")
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) < new Date(req.query.from)) {
+        throw new Error("to must be after from");
+      }
+      return true;
+    }),
+
+  check("interval")
+    .optional()
+    .isIn(["day", "week", "month"])
+    .withMessage("Interval must be one of: day, week, month"),
+
+  validatorMiddleware,
+];
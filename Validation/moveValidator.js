@@ -0,0 +1,208 @@
+const { check } = require("express-validator");
+const validatorMiddleware = require("../middlewares/validatorMiddleware");
+const { moveStatus } = require("../utils/Constant/enum");
+const { inventoryCatalog } = require("../utils/Constant/inventoryCatalog");
+const { isValidTimezone } = require("../utils/Scheduling/bookingWindow");
+
+// [longitude, latitude] as stored in GeoJSON points
+const isCoordinates = (value) => {
+  if (!Array.isArray(value) || value.length !== 2) {
+    throw new Error("Coordinates must be an array of [longitude, latitude]");
+  }
+  const [lng, lat] = value.map(Number);
+  if (Number.isNaN(lng) || lng < -180 || lng > 180) {
+    throw new Error("Longitude must be between -180 and 180");
+  }
+  if (Number.isNaN(lat) || lat < -90 || lat > 90) {
+    throw new Error("Latitude must be between -90 and 90");
+  }
+  return true;
+};
+
+exports.isCoordinates = isCoordinates;
+
+const isPositiveNumber = (value, max) =>
+  !Number.isNaN(Number(value)) && Number(value) > 0 && Number(value) <= max;
+
+// A catalog item ({ item, quantity }) or a custom one with its measurements
+const isInventoryItem = (value) => {
+  const { item, name, quantity = 1, dimensions, weight } = value || {};
+
+  if (!Number.isInteger(Number(quantity)) || !isPositiveNumber(quantity, 100)) {
+    throw new Error("Item quantity must be a number between 1 and 100");
+  }
+
+  if (item !== undefined) {
+    if (!Object.hasOwn(inventoryCatalog, item)) {
+      throw new Error(
+        `Item must be one of: ${Object.keys(inventoryCatalog).join(", ")}`
+      );
+    }
+    return true;
+  }
+
+  if (typeof name !== "string" || !name.trim()) {
+    throw new Error("Custom items require a name");
+  }
+  if (
+    !dimensions ||
+    !["length", "width", "height"].every((side) =>
+      isPositiveNumber(dimensions[side], 1000)
+    )
+  ) {
+    throw new Error(
+      "Custom items require length, width and height between 1 and 1000 cm"
+    );
+  }
+  if (!isPositiveNumber(weight, 2000)) {
+    throw new Error("Custom items require a weight between 1 and 2000 kg");
+  }
+  return true;
+};
+
+// Fields shared by the fare estimate and the booking itself
+const moveDetailsChecks = [
+  check("pickup.coordinates")
+    .notEmpty()
+    .withMessage("Pickup coordinates are required")
+    .custom(isCoordinates),
+
+  check("pickup.address")
+    .optional()
+    .isString()
+    .withMessage("Pickup address must be a string"),
+
+  check("dropoff.coordinates")
+    .notEmpty()
+    .withMessage("Dropoff coordinates are required")
+    .custom(isCoordinates),
+
+  check("dropoff.address")
+    .optional()
+    .isString()
+    .withMessage("Dropoff address must be a string"),
+
+  check(["pickup.floor", "dropoff.floor"])
+    .optional()
+    .isInt({ min: 0, max: 200 })
+    .withMessage("Floor must be a number between 0 and 200"),
+
+  check(["pickup.hasElevator", "dropoff.hasElevator"])
+    .optional()
+    .isBoolean()
+    .withMessage("hasElevator must be Boolean")
+    .toBoolean(),
+
+  check("inventory")
+    .optional()
+    .isArray({ min: 1, max: 200 })
+    .withMessage("Inventory must be a list of 1 to 200 items"),
+
+  check("inventory.*").custom(isInventoryItem),
+
+  // recommended from the inventory when left out, checked against the
+  // vehicle class catalog when booking
+  check("vehicleType")
+    .if((value, { req }) => value !== undefined || !req.body.inventory)
+    .notEmpty()
+    .withMessage("Vehicle type is required")
+    .isString()
+    .withMessage("Vehicle type must be a string")
+    .trim()
+    .toLowerCase(),
+
+  check("helpers")
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage("Helpers must be a number between 0 and 10"),
+];
+
+exports.estimateMoveValidator = [
+  ...moveDetailsChecks,
+
+  check("time")
+    .optional()
+    .isISO8601()
+    .withMessage("Time must be a valid ISO 8601 date"),
+
+  validatorMiddleware,
+];
+
+const scheduleChecks = (required) => [
+  check("scheduledFor")
+    .if((value, { req }) => required || value !== undefined)
+    .notEmpty()
+    .withMessage("Scheduled time is required")
+    .isISO8601()
+    .withMessage("Scheduled time must be a valid ISO 8601 date"),
+
+  check("timezone")
+    .if((value, { req }) => req.body.scheduledFor !== undefined)
+    .notEmpty()
+    .withMessage("Timezone is required for scheduled moves")
+    .custom(isValidTimezone)
+    .withMessage("Timezone must be a valid IANA timezone, e.g. Africa/Cairo"),
+];
+
+exports.createMoveValidator = [
+  ...moveDetailsChecks,
+
+  ...scheduleChecks(false),
+
+  check("itemsNotes")
+    .optional()
+    .isString()
+    .withMessage("Items notes must be a string")
+    .isLength({ max: 1000 })
+    .withMessage("Items notes must be at most 1000 characters"),
+
+  validatorMiddleware,
+];
+
+exports.moveIdValidator = [
+  check("id").isMongoId().withMessage("Invalid move id"),
+
+  validatorMiddleware,
+];
+
+exports.cancelMoveValidator = [
+  check("id").isMongoId().withMessage("Invalid move id"),
+
+  check("reason")
+    .optional()
+    .isString()
+    .withMessage("Cancellation reason must be a string")
+    .isLength({ max: 500 })
+    .withMessage("Cancellation reason must be at most 500 characters"),
+
+  validatorMiddleware,
+];
+
+exports.updateMoveStatusValidator = [
+  check("id").isMongoId().withMessage("Invalid move id"),
+
+  check("status")
+    .notEmpty()
+    .withMessage("Status is required")
+    .isIn(Object.values(moveStatus))
+    .withMessage(
+      `Status must be one of: ${Object.values(moveStatus).join(", ")}`
+    ),
+
+  check("message")
+    .optional()
+    .isString()
+    .withMessage("Message must be a string")
+    .isLength({ max: 500 })
+    .withMessage("Message must be at most 500 characters"),
+
+  validatorMiddleware,
+];
+
+exports.rescheduleMoveValidator = [
+  check("id").isMongoId().withMessage("Invalid move id"),
+
+  ...scheduleChecks(true),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,87 @@
+const { check } = require("express-validator");
+const validatorMiddleware = require("../middlewares/validatorMiddleware");
+const { checklistItemKind } = require("../utils/Constant/enum");
+const { documentTypes } = require("../utils/Constant/onboardingChecklist");
+
+const itemsChecks = () => [
+  check("items")
+    .isArray({ min: 1, max: 30 })
+    .withMessage("Items must be a list of 1 to 30 checklist items")
+    .custom((items) => {
+      const keys = items.map((item) => item?.key);
+      if (new Set(keys).size !== keys.length) {
+        throw new Error("Item keys must be unique");
+      }
+      return true;
+    }),
+
+  check("items.*.key")
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{1,39}$/)
+    .withMessage(
+      "Item keys must be 2 to 40 letters, digits or underscores, e.g. criminalRecord"
+    ),
+
+  check("items.*.label")
+    .notEmpty()
+    .withMessage("Item label is required")
+    .isString()
+    .trim(),
+
+  check("items.*.kind")
+    .isIn(Object.values(checklistItemKind))
+    .withMessage(
+      `Item kind must be one of: ${Object.values(checklistItemKind).join(", ")}`
+    ),
+
+  check(["items.*.required", "items.*.requiresExpiry"])
+    .optional()
+    .isBoolean()
+    .withMessage("required and requiresExpiry must be Boolean"),
+
+  check("items.*.allowedTypes")
+    .optional()
+    .isArray()
+    .withMessage("allowedTypes must be a list of file types"),
+
+  check("items.*.allowedTypes.*")
+    .isIn(documentTypes)
+    .withMessage(`File types must be one of: ${documentTypes.join(", ")}`),
+
+  check(["items.*.minFiles", "items.*.maxFiles"])
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage("minFiles and maxFiles must be between 1 and 20"),
+];
+
+exports.createOnboardingChecklistValidator = [
+  check("country")
+    .optional({ nullable: true })
+    .toUpperCase()
+    .isISO31661Alpha2()
+    .withMessage("Country must be an ISO 3166-1 alpha-2 code"),
+
+  check("vehicleType")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Vehicle type must be a string")
+    .trim()
+    .toLowerCase(),
+
+  ...itemsChecks(),
+
+  validatorMiddleware,
+];
+
+exports.updateOnboardingChecklistValidator = [
+  check("id").isMongoId().withMessage("Invalid onboarding checklist id"),
+
+  ...itemsChecks(),
+
+  validatorMiddleware,
+];
+
+exports.onboardingChecklistIdValidator = [
+  check("id").isMongoId().withMessage("Invalid onboarding checklist id"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,103 @@
+const { check } = require("express-validator");
+const validatorMiddleware = require("../middlewares/validatorMiddleware");
+const { earningType, payoutStatus } = require("../utils/Constant/enum");
+
+exports.runPayoutsValidator = [
+  check("until")
+    .optional()
+    .isISO8601()
+    .withMessage("until must be a valid ISO 8601 date")
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error("until can't be in the future");
+      }
+      return true;
+    }),
+
+  validatorMiddleware,
+];
+
+exports.getPayoutsValidator = [
+  check("status")
+    .optional()
+    .isIn(Object.values(payoutStatus))
+    .withMessage(
+      `Status must be one of: ${Object.values(payoutStatus).join(", ")}`
+    ),
+
+  check("driver").optional().isMongoId().withMessage("Invalid driver id"),
+
+  validatorMiddleware,
+];
+
+exports.payoutIdValidator = [
+  check("id").isMongoId().withMessage("Invalid payout id"),
+
+  validatorMiddleware,
+];
+
+exports.updatePayoutStatusValidator = [
+  check("id").isMongoId().withMessage("Invalid payout id"),
+
+  check("status")
+    .isIn([payoutStatus.PAID, payoutStatus.FAILED])
+    .withMessage("Status must be either paid or failed"),
+
+  check("reference")
+    .if(check("status").equals(payoutStatus.PAID))
+    .notEmpty()
+    .withMessage("A transfer reference is required for paid payouts")
+    .isString()
+    .trim(),
+
+  check("reason")
+    .if(check("status").equals(payoutStatus.FAILED))
+    .notEmpty()
+    .withMessage("A reason is required for failed payouts")
+    .isString()
+    .trim(),
+
+  validatorMiddleware,
+];
+
+exports.createEarningEntryValidator = [
+  check("driver")
+    .notEmpty()
+    .withMessage("Driver is required")
+    .isMongoId()
+    .withMessage("Invalid driver id"),
+
+  check("move").optional().isMongoId().withMessage("Invalid move id"),
+
+  // fare shares and commissions only come from completed moves
+  check("type")
+    .isIn([earningType.TIP, earningType.ADJUSTMENT])
+    .withMessage("Type must be either tip or adjustment"),
+
+  check("amount")
+    .isFloat()
+    .withMessage("Amount must be a number")
+    .custom((value, { req }) => {
+      if (Number(value) === 0) throw new Error("Amount can't be zero");
+      if (req.body.type === earningType.TIP && Number(value) < 0) {
+        throw new Error("Tips must be positive");
+      }
+      return true;
+    }),
+
+  check("currency")
+    .notEmpty()
+    .withMessage("Currency is required")
+    .isISO4217()
+    .withMessage("Currency must be a valid ISO 4217 code"),
+
+  check("description")
+    .notEmpty()
+    .withMessage("Description is required")
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description must be at most 500 characters"),
+
+  validatorMiddleware,
+];
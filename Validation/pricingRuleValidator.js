@@ -0,0 +1,65 @@
+const { check } = require("express-validator");
+const validatorMiddleware = require("../middlewares/validatorMiddleware");
+
+const priceFields = [
+  "baseFare",
+  "perKm",
+  "perMinute",
+  "perFloor",
+  "perHelper",
+  "minimumFare",
+];
+
+const pricingChecks = () => [
+  ...priceFields.map((field) =>
+    check(field)
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage(`${field} must be a positive number`)
+  ),
+
+  check("currency")
+    .optional()
+    .isISO4217()
+    .withMessage("Currency must be a valid ISO 4217 code"),
+
+  check("nightMultiplier")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("nightMultiplier must be at least 1"),
+
+  check(["nightStartHour", "nightEndHour"])
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage("Night hours must be between 0 and 23"),
+];
+
+exports.createPricingRuleValidator = [
+  check("vehicleType")
+    .notEmpty()
+    .withMessage("Vehicle type is required")
+    .isString()
+    .withMessage("Vehicle type must be a string")
+    .trim()
+    .toLowerCase(),
+
+  check("baseFare").notEmpty().withMessage("Base fare is required"),
+
+  ...pricingChecks(),
+
+  validatorMiddleware,
+];
+
+exports.updatePricingRuleValidator = [
+  check("id").isMongoId().withMessage("Invalid pricing rule id"),
+
+  ...pricingChecks(),
+
+  validatorMiddleware,
+];
+
+exports.pricingRuleIdValidator = [
+  check("id").isMongoId().withMessage("Invalid pricing rule id"),
+
+  validatorMiddleware,
+];
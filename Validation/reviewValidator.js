@@ -0,0 +1,27 @@
+const { check } = require("express-validator");
+const validatorMiddleware = require("../middlewares/validatorMiddleware");
+
+exports.createReviewValidator = [
+  check("id").isMongoId().withMessage("Invalid move id"),
+
+  check("stars")
+    .notEmpty()
+    .withMessage("Stars are required")
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Stars must be between 1 and 5"),
+
+  check("comment")
+    .optional()
+    .isString()
+    .withMessage("Comment must be a string")
+    .isLength({ max: 1000 })
+    .withMessage("Comment must be at most 1000 characters"),
+
+  validatorMiddleware,
+];
+
+exports.getDriverReviewsValidator = [
+  check("id").isMongoId().withMessage("Invalid driver id"),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,68 @@
+const { check } = require("express-validator");
+const validatorMiddleware = require("../middlewares/validatorMiddleware");
+
+const vehicleClassChecks = () => [
+  check("name")
+    .optional()
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("Name can't be empty"),
+
+  check(["maxVolume", "maxWeight"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Capacity must be a positive number"),
+
+  check("maxHelpers")
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage("maxHelpers must be a number between 0 and 10"),
+
+  check("allowsStairs")
+    .optional()
+    .isBoolean()
+    .withMessage("allowsStairs must be Boolean"),
+
+  check("baseMultiplier")
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage("baseMultiplier must be between 0.1 and 10"),
+
+  check("active").optional().isBoolean().withMessage("active must be Boolean"),
+];
+
+exports.createVehicleClassValidator = [
+  check("key")
+    .notEmpty()
+    .withMessage("Vehicle class key is required")
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_]{2,30}$/)
+    .withMessage(
+      "Key must be 2 to 30 lowercase letters, digits or underscores, e.g. small_truck"
+    ),
+
+  check("name").notEmpty().withMessage("Vehicle class name is required"),
+  check("maxVolume").notEmpty().withMessage("Max volume is required"),
+  check("maxWeight").notEmpty().withMessage("Max weight is required"),
+
+  ...vehicleClassChecks(),
+
+  validatorMiddleware,
+];
+
+exports.updateVehicleClassValidator = [
+  check("id").isMongoId().withMessage("Invalid vehicle class id"),
+
+  ...vehicleClassChecks(),
+
+  validatorMiddleware,
+];
+
+exports.vehicleClassIdValidator = [
+  check("id").isMongoId().withMessage("Invalid vehicle class id"),
+
+  validatorMiddleware,
+];
@@ -10,9 +10,22 @@ const blackListModel = require("../models/blackListModel")
 const sendEmail = require("../utils/Email/sendEmails");
 const {
   createAccessToken,
-  createRefreshToken,
   createConfirmationToken,
 } = require("../utils/createToken");
+const {
+  startSession,
+  findSession,
+  rotateSession,
+  revokeReusedSession,
+} = require("../utils/Sessions/sessions");
+const verifyAccessToken = require("../utils/verifyAccessToken");
+const {
+  loginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  MAX_RESET_CODE_ATTEMPTS,
+} = require("../utils/Security/bruteForce");
 const { verifyGoogle } = require("../utils/VerifyGoogle/verifyGoogle");
 const { providers, accountStatus, roles } = require("../utils/Constant/enum");
 const { cloudinary } = require("../utils/Cloudinary/cloud");
@@ -153,10 +166,23 @@ exports.resendConfirmationEmail = asyncHandler(async (req, res, next) => {
 exports.login = asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
 
+  // Locked account or IP, or still within the delay after a failure
+  const blocked = await loginBlock(email, req.ip);
+  if (blocked) {
+    res.set("Retry-After", String(blocked.retryAfter));
+    return next(new ApiError(blocked.message, 429));
+  }
+
   const user = await usersModel.findOne({ email }).select("+password");
-  if (!user || !(await bcrypt.compare(password, user.password))) {
+  if (
+    !user ||
+    !user.password ||
+    !(await bcrypt.compare(password, user.password))
+  ) {
+    await recordLoginFailure(email, req.ip, user);
     return next(new ApiError("Incorrect email or password", 401));
   }
+  await clearLoginFailures(email);
 
   if (user.account_status !== "confirmed") {
     return next(new ApiError("Please confirm your email first", 401));
@@ -171,18 +197,13 @@ exports.login = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Generate tokens
-  const accessToken = createAccessToken(user._id, user.role);
-  const refreshToken = createRefreshToken(user._id);
-
-  // Store hashed refresh token
-  const hashedRefreshToken = await bcrypt.hash(refreshToken, 10);
-  user.refreshTokens.push({
-    token: hashedRefreshToken,
-    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-  });
+  // Open a session for this device, its refresh token is stored hashed
+  const { session, refreshToken } = await startSession(user, req);
   await user.save();
 
+  // Generate access token
+  const accessToken = createAccessToken(user._id, user.role, session._id);
+
   // Set refresh token cookie
 res.cookie("refreshToken", refreshToken, {
   httpOnly: true,
@@ -211,37 +232,31 @@ res.cookie("refreshToken", refreshToken, {
 exports.refreshToken = asyncHandler(async (req, res, next) => {
   const refreshToken = req.cookies.refreshToken;
 
-  console.log("req.cookies", req)
   if (!refreshToken) return next(new ApiError("Unauthorized, No refresh token found!", 401));
 
   try {
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     const user = await usersModel.findById(decoded.userId);
 
-    // Find matching token
-    const tokenMatch = await Promise.all(
-      user.refreshTokens.map(async (storedToken) => ({
-        ...storedToken,
-        match: await bcrypt.compare(refreshToken, storedToken.token),
-      }))
-    );
+    // Find the session of this token
+    const { session, reused } = user
+      ? await findSession(user, refreshToken)
+      : {};
+    if (!session) return next(new ApiError("Invalid token", 401));
 
-    const validToken = tokenMatch.find((t) => t.match);
-    if (!validToken) return next(new ApiError("Invalid token", 401));
-
-    // Generate new tokens
-    const newAccessToken = createAccessToken(user._id, user.role);
-    const newRefreshToken = createRefreshToken(user._id);
+    // A rotated token came back, sign every holder of the session out
+    if (reused) {
+      await revokeReusedSession(user, session, req);
+      res.clearCookie("refreshToken", { path: "/" });
+      return next(
+        new ApiError("Refresh token reuse detected, please login again", 401)
+      );
+    }
 
-    // Update stored token
-    user.refreshTokens = user.refreshTokens.filter(
-      (t) => t.token !== validToken.token
-    );
-    user.refreshTokens.push({
-      token: await bcrypt.hash(newRefreshToken, 10),
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-    });
+    // Rotate the session's refresh token and generate a new access token
+    const newRefreshToken = await rotateSession(user, session, req);
     await user.save();
+    const newAccessToken = createAccessToken(user._id, user.role, session._id);
 
     // Set new cookie
 res.cookie("refreshToken", newRefreshToken, {
@@ -261,6 +276,34 @@ res.cookie("refreshToken", newRefreshToken, {
   }
 });
 
+// The emailed link only shows this page, mail scanners that open links
+// would unlock the account otherwise
+exports.unlockAccountPage = asyncHandler(async (req, res, next) => {
+  res.status(200).send(`<!DOCTYPE html>
+  <html lang="en-US">
+    <head>
+      <meta charset="utf-8" />
+      <title>Unlock your account</title>
+    </head>
+    <body style="font-family: sans-serif; text-align: center; margin-top: 80px">
+      <h1>Unlock your account</h1>
+      <p>Your account was locked after several failed login attempts.</p>
+      <form method="POST" action="/api/v1/auth/unlock/${req.params.token}">
+        <button type="submit">Unlock my account</button>
+      </form>
+    </body>
+  </html>`);
+});
+
+exports.unlockAccount = asyncHandler(async (req, res, next) => {
+  const unlocked = await unlockAccount(req.params.token);
+  if (!unlocked) {
+    return next(new ApiError("Unlock link is invalid or expired", 400));
+  }
+
+  res.status(200).send("Account unlocked successfully. You can login now");
+});
+
 exports.protect = asyncHandler(async (req, res, next) => {
   // 1) Check for access token
   let accessToken;
@@ -272,27 +315,11 @@ exports.protect = asyncHandler(async (req, res, next) => {
     return next(new ApiError("Please login first", 401));
   }
 
-  // 2) Verify token
-  const decoded = jwt.verify(accessToken, process.env.JWT_ACCESS_SECRET);
-
-  // 3) Check blacklist
-  const blacklisted = await blackListModel.exists({ token: accessToken });
-  if (blacklisted) {
-    return next(new ApiError("Token revoked, please login again", 401));
-  }
-
-  // 4) Check user exists
-  const currentUser = await usersModel.findById(decoded.userId);
-  if (!currentUser) {
-    return next(new ApiError("User no longer exists", 401));
-  }
-
-  // 5) Check password change
-  if (currentUser.passwordChangedAT?.getTime() > decoded.iat * 1000) {
-    return next(new ApiError("Password changed recently! Please login again using the new password.", 401));
-  }
+  // 2) Verify token, blacklist, user existence and password change
+  const currentUser = await verifyAccessToken(accessToken);
 
   req.user = currentUser;
+  req.sessionId = jwt.decode(accessToken).sid;
   next();
 });
 
@@ -339,13 +366,10 @@ exports.logout = asyncHandler(async (req, res, next) => {
     return next(new ApiError("User not found", 404));
   }
 
-  // 4) Remove refresh token
-  const tokensBefore = user.refreshTokens.length;
-  user.refreshTokens = user.refreshTokens.filter(
-    tokenDoc => !bcrypt.compareSync(refreshToken, tokenDoc.token)
-  );
-  
-  if (user.refreshTokens.length < tokensBefore) {
+  // 4) End the session of the refresh token
+  const { session } = await findSession(user, refreshToken);
+  if (session) {
+    user.refreshTokens.pull(session._id);
     await user.save();
   }
 
@@ -397,6 +421,7 @@ exports.forgetPassword = asyncHandler(async (req, res, next) => {
   // add hashed password reset code expiration time (10 min)
   user.passwordResetCodeExpire = Date.now() + 20 * 60 * 1000;
   user.passwordResetCodeVerified = false;
+  user.passwordResetAttempts = 0;
 
   await user.save();
 
@@ -427,18 +452,41 @@ exports.forgetPassword = asyncHandler(async (req, res, next) => {
 });
 
 exports.verifyPasswordResetCode = asyncHandler(async (req, res, next) => {
-  // get user based on password reset code
   const hashedResetCode = crypto
     .createHash("sha256")
     .update(req.body.resetCode)
     .digest("hex");
 
-  const user = await usersModel.findOne({
-    passwordResetCode: hashedResetCode,
-    passwordResetCodeExpire: { $gt: Date.now() },
-  });
+  // count the attempt before checking it, so parallel guesses count too
+  const user = await usersModel.findOneAndUpdate(
+    {
+      email: req.body.email,
+      passwordResetCode: { $exists: true },
+      passwordResetCodeExpire: { $gt: Date.now() },
+      passwordResetAttempts: { $not: { $gte: MAX_RESET_CODE_ATTEMPTS } },
+    },
+    { $inc: { passwordResetAttempts: 1 } },
+    { new: true }
+  );
   if (!user) {
-    return next(new ApiError("Reset code is invalid or expired"));
+    return next(
+      new ApiError(
+        "Reset code is invalid or expired, please request a new one",
+        400
+      )
+    );
+  }
+
+  if (user.passwordResetCode !== hashedResetCode) {
+    const attemptsLeft = MAX_RESET_CODE_ATTEMPTS - user.passwordResetAttempts;
+    return next(
+      new ApiError(
+        attemptsLeft > 0
+          ? `Reset code is invalid, ${attemptsLeft} attempts left`
+          : "Reset code is invalid, please request a new one",
+        400
+      )
+    );
   }
 
   // reset code valid
@@ -468,22 +516,19 @@ exports.resetPassword = asyncHandler(async (req, res, next) => {
   user.passwordResetCode = undefined;
   user.passwordResetCodeExpire = undefined;
   user.passwordResetCodeVerified = undefined;
+  user.passwordResetAttempts = undefined;
 
   // 4) Invalidate all previous refresh tokens
   user.refreshTokens = [];
 
-  // 5) Generate new tokens
-  const accessToken = createAccessToken(user._id, user.role);
-  const refreshToken = createRefreshToken(user._id);
-
-  // 6) Store new refresh token
-  const hashedRefreshToken = await bcrypt.hash(refreshToken, 10);
-  user.refreshTokens.push({
-    token: hashedRefreshToken,
-    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-  });
-
+  // 5) Open a new session for this device
+  const { session, refreshToken } = await startSession(user, req);
   await user.save();
+  // a new password also lifts a login lockout
+  await clearLoginFailures(user.email);
+
+  // 6) Generate access token
+  const accessToken = createAccessToken(user._id, user.role, session._id);
 
   // 7) Set refresh token in cookie
   res.cookie("refreshToken", refreshToken, {
@@ -501,6 +546,80 @@ exports.resetPassword = asyncHandler(async (req, res, next) => {
   });
 });
 
+const sessionJSON = (session, currentSessionId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt || session.createdAt,
+  expiresAt: session.expiresAt,
+  current: session._id.equals(currentSessionId),
+});
+
+// @desc    List the devices the logged user is signed in on
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const now = new Date();
+  const sessions = req.user.refreshTokens
+    .filter((session) => session.expiresAt > now)
+    .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))
+    .map((session) => sessionJSON(session, req.sessionId));
+
+  res.status(200).json({
+    status: "success",
+    results: sessions.length,
+    data: sessions,
+  });
+});
+
+// @desc    Sign a device out, its refresh and access tokens stop working
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const user = await usersModel.findOneAndUpdate(
+    { _id: req.user._id, "refreshTokens._id": id },
+    { $pull: { refreshTokens: { _id: id } } }
+  );
+  if (!user) {
+    return next(new ApiError(`No session for this id: ${id}`, 404));
+  }
+
+  if (req.sessionId && String(req.sessionId) === id) {
+    res.clearCookie("refreshToken", { path: "/" });
+  }
+
+  res.status(200).json({
+    status: "success",
+    message: "Session revoked",
+  });
+});
+
+// @desc    Sign out every device but the current one
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  if (!req.sessionId) {
+    return next(
+      new ApiError("Please login again to manage your sessions", 400)
+    );
+  }
+
+  const { modifiedCount } = await usersModel.updateOne(
+    { _id: req.user._id },
+    { $pull: { refreshTokens: { _id: { $ne: req.sessionId } } } }
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: modifiedCount
+      ? "Logged out of all other devices"
+      : "No other active sessions",
+  });
+});
+
 //login by google
 exports.loginByGoogle = asyncHandler(async (req, res, next) => {
   //get id token from req
@@ -3,14 +3,29 @@ const asyncHandler = require("express-async-handler");
 const ApiError = require("../utils/ApiError");
 const Driver = require("../models/driverModel");
 const { cloudinary } = require("../utils/Cloudinary/cloud");
+const { getActiveVehicleClass } = require("../utils/Vehicles/vehicleClasses");
+const { notifyDriverStatus } = require("../utils/Notifications/driverStatus");
+const {
+  vehicleKinds,
+  getChecklist,
+  checklistProgress,
+  applyChecklistItems,
+  deleteSupersededFiles,
+} = require("../utils/Onboarding/checklist");
 
 const usersModel = require("../models/userModel");
+const { isOnShift } = require("../utils/Shifts/shiftSchedule");
+const { suspensionCause } = require("../utils/Constant/enum");
+
+// Vehicle the onboarding checklist is checked on
+const checklistVehicle = (driver) =>
+  driver.vehicles.id(driver.activeVehicle) || driver.vehicles[0];
 
 // @desc    Submit driver's onboarding request
 // @route   POST /api/v1/drivers/onboarding
 // @access  Private (Driver only)
 exports.submitOnboarding = asyncHandler(async (req, res, next) => {
-  const { vehicle } = req.body;
+  const { vehicle, country } = req.body;
 
   // Check if user exists and is not already a driver
   const user = await usersModel.findById(req.user._id);
@@ -29,44 +44,123 @@ exports.submitOnboarding = asyncHandler(async (req, res, next) => {
     return next(new ApiError("Driver profile already exists", 400));
   }
 
-  // Handle document uploads
-  const documents = {};
-  if (req.files) {
-    const uploadPromises = Object.keys(req.files).map(async (docType) => {
-      const file = req.files[docType][0];
-      const result = await cloudinary.uploader.upload(file.path, {
-        folder: `Swift-Move/Drivers/${req.user._id}/Documents`,
-      });
-      return {
-        type: docType,
-        url: result.secure_url,
-        publicId: result.public_id,
-      };
-    });
-
-    const uploadedDocs = await Promise.all(uploadPromises);
-    uploadedDocs.forEach((doc) => {
-      documents[doc.type] = {
-        url: doc.url,
-        publicId: doc.publicId,
-      };
-    });
-  }
+  // Only vehicle types customers can currently book
+  await getActiveVehicleClass(vehicle.type);
 
-  // Create driver profile with pending status
-  const driver = await Driver.create({
+  const driver = new Driver({
     driver_info: req.user._id,
-    vehicle,
-    documents,
+    country,
+    vehicles: [vehicle],
     isAvailable: false,
     history: [{ message: "Driver submitted onboarding request" }],
   });
 
+  // Items of the driver's market, missing ones can be added later
+  const items = await getChecklist(country, vehicle.type);
+  await applyChecklistItems({
+    items,
+    driver,
+    vehicle: driver.vehicles[0],
+    files: req.files,
+    body: req.body,
+  });
+
+  await driver.save();
+
   res.status(201).json({
     status: "success",
     message:
       "Onboarding request submitted successfully. Waiting for admin approval.",
     data: driver,
+    checklist: checklistProgress(items, driver, driver.vehicles[0]),
+  });
+});
+
+// @desc    Replace or complete onboarding checklist items while the request
+//          is pending, rejected or suspended for an expired document, the
+//          request goes back to pending review. Vehicle items belong to
+//          `vehicleId`, the onboarding vehicle by default
+// @route   PUT /api/v1/drivers/onboarding/documents
+// @access  Private (Driver only)
+exports.resubmitDocuments = asyncHandler(async (req, res, next) => {
+  const driver = await Driver.findOne({ driver_info: req.user._id });
+  if (!driver) {
+    return next(new ApiError("No driver onboarding request found", 404));
+  }
+
+  // drivers suspended for an expired document replace it the same way, other
+  // suspensions are lifted by admins only
+  const canResubmit =
+    ["pending", "rejected"].includes(driver.status) ||
+    (driver.status === "suspended" &&
+      driver.suspensionCause === suspensionCause.DOCUMENT_EXPIRED);
+  if (!canResubmit) {
+    return next(
+      new ApiError(
+        `Documents can't be replaced while the profile is ${driver.status}`,
+        409
+      )
+    );
+  }
+
+  const vehicle = req.body.vehicleId
+    ? driver.vehicles.id(req.body.vehicleId)
+    : driver.vehicles[0];
+  if (req.body.vehicleId && !vehicle) {
+    return next(new ApiError("Vehicle not found", 404));
+  }
+
+  const items = await getChecklist(driver.country, vehicle?.type);
+  const { updated, supersededIds } = await applyChecklistItems({
+    items,
+    driver,
+    vehicle,
+    files: req.files,
+    body: req.body,
+  });
+
+  if (!updated.length) {
+    return next(
+      new ApiError("Submit at least one onboarding item to update", 400)
+    );
+  }
+
+  const vehicleUpdated = items.some(
+    (item) => vehicleKinds.includes(item.kind) && updated.includes(item.key)
+  );
+  if (vehicleUpdated && vehicle.status === "rejected") {
+    vehicle.status = "pending";
+    vehicle.rejectionReason = undefined;
+  }
+  driver.status = "pending";
+  driver.suspensionCause = undefined;
+  driver.history.push({
+    message: `Driver resubmitted onboarding items: ${updated.join(", ")}`,
+  });
+  await driver.save();
+
+  // Old assets are only removed once the new ones are saved
+  await deleteSupersededFiles(supersededIds);
+
+  res.status(200).json({
+    status: "success",
+    message: "Documents replaced successfully. Waiting for admin approval.",
+    data: driver,
+    checklist: checklistProgress(items, driver, vehicle),
+  });
+});
+
+// @desc    Get the onboarding checklist of a market before onboarding
+// @route   GET /api/v1/drivers/onboarding/checklist
+// @access  Private (Driver only)
+exports.getOnboardingChecklist = asyncHandler(async (req, res, next) => {
+  const { country, vehicleType } = req.query;
+
+  const items = await getChecklist(country, vehicleType);
+
+  res.status(200).json({
+    status: "success",
+    data: items,
   });
 });
 
@@ -81,11 +175,17 @@ exports.getOnboardingStatus = asyncHandler(async (req, res, next) => {
       return next(new ApiError("No driver onboarding request found", 404));
     }
 
+    const vehicle = checklistVehicle(driver);
+    const items = await getChecklist(driver.country, vehicle?.type);
+
     res.status(200).json({
       status: "success",
       data: {
         hasSubmitted: true,
         status: driver.status,
+        checklist: checklistProgress(items, driver, vehicle),
+        vehicles: driver.vehicles,
+        activeVehicle: driver.activeVehicle,
         history: driver.history,
       },
     });
@@ -94,32 +194,271 @@ exports.getOnboardingStatus = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Toggle driver availability
+// @desc    Toggle driver availability, going available with `vehicleId` or
+//          the last active vehicle
 // @route   PUT /api/v1/drivers/availability
 // @access  Private (Driver only)
 exports.updateAvailability = asyncHandler(async (req, res, next) => {
-  const driver = await Driver.findOneAndUpdate(
-    { driver_info: req.user._id },
-    [{ $set: { isAvailable: { $not: "$isAvailable" } } }],
-    {
-      new: true,
-      runValidators: true,
-    }
-  );
+  const { vehicleId } = req.body;
+
+  const driver = await Driver.findOne({ driver_info: req.user._id });
 
   if (!driver) {
     return next(new ApiError("Driver profile not found", 404));
   }
 
+  if (!driver.isAvailable) {
+    const vehicle = driver.vehicles.id(vehicleId || driver.activeVehicle);
+    if (!vehicle) {
+      return next(
+        new ApiError("Choose one of your vehicles to go available", 400)
+      );
+    }
+    if (vehicle.status !== "accepted") {
+      return next(new ApiError("This vehicle is not approved yet", 409));
+    }
+
+    driver.activeVehicle = vehicle._id;
+    driver.activeVehicleType = vehicle.type;
+  }
+
+  driver.isAvailable = !driver.isAvailable;
+  await driver.save();
+
   res.status(200).json({
     status: "success",
     data: {
       isAvailable: driver.isAvailable,
+      activeVehicle: driver.activeVehicle,
+      activeVehicleType: driver.activeVehicleType,
       updatedAt: driver.updatedAt,
     },
   });
 });
 
+const shiftSettings = (driver) => ({
+  timezone: driver.timezone,
+  autoAvailability: driver.autoAvailability,
+  shifts: driver.shifts,
+  timeOff: driver.timeOff,
+  onShift: driver.onShift,
+  isAvailable: driver.isAvailable,
+});
+
+// @desc    Get the driver's weekly shifts and time off
+// @route   GET /api/v1/drivers/me/shifts
+// @access  Private (Driver only)
+exports.getMyShifts = asyncHandler(async (req, res, next) => {
+  const driver = await Driver.findOne({ driver_info: req.user._id });
+  if (!driver) {
+    return next(new ApiError("Driver profile not found", 404));
+  }
+
+  res.status(200).json({ status: "success", data: shiftSettings(driver) });
+});
+
+// @desc    Replace the driver's weekly shifts and auto-availability settings
+// @route   PUT /api/v1/drivers/me/shifts
+// @access  Private (Driver only)
+exports.updateMyShifts = asyncHandler(async (req, res, next) => {
+  const { shifts, timezone, autoAvailability } = req.body;
+
+  const driver = await Driver.findOne({ driver_info: req.user._id });
+  if (!driver) {
+    return next(new ApiError("Driver profile not found", 404));
+  }
+
+  if (shifts) driver.shifts = shifts;
+  if (timezone) driver.timezone = timezone;
+  if (autoAvailability !== undefined) {
+    driver.autoAvailability = autoAvailability;
+  }
+  // the scheduler acts on the next boundary from here, not right away
+  driver.onShift = isOnShift(driver);
+  await driver.save();
+
+  res.status(200).json({ status: "success", data: shiftSettings(driver) });
+});
+
+// @desc    Add one-off time off, no shift starts during it
+// @route   POST /api/v1/drivers/me/time-off
+// @access  Private (Driver only)
+exports.addTimeOff = asyncHandler(async (req, res, next) => {
+  const { from, to, reason } = req.body;
+
+  const driver = await Driver.findOneAndUpdate(
+    { driver_info: req.user._id },
+    {
+      // past time off is dropped along the way
+      $pull: { timeOff: { to: { $lte: new Date() } } },
+    },
+    { new: true }
+  );
+  if (!driver) {
+    return next(new ApiError("Driver profile not found", 404));
+  }
+
+  driver.timeOff.push({ from, to, reason });
+  await driver.save();
+
+  res.status(201).json({ status: "success", data: shiftSettings(driver) });
+});
+
+// @desc    Cancel time off
+// @route   DELETE /api/v1/drivers/me/time-off/:timeOffId
+// @access  Private (Driver only)
+exports.removeTimeOff = asyncHandler(async (req, res, next) => {
+  const driver = await Driver.findOneAndUpdate(
+    {
+      driver_info: req.user._id,
+      "timeOff._id": req.params.timeOffId,
+    },
+    { $pull: { timeOff: { _id: req.params.timeOffId } } },
+    { new: true }
+  );
+
+  if (!driver) {
+    return next(
+      new ApiError(`No time off for this id: ${req.params.timeOffId}`, 404)
+    );
+  }
+
+  res.status(200).json({ status: "success", data: shiftSettings(driver) });
+});
+
+// @desc    Add a vehicle to the driver's profile, pending admin approval
+// @route   POST /api/v1/drivers/vehicles
+// @access  Private (Driver only)
+exports.addVehicle = asyncHandler(async (req, res, next) => {
+  const { type, model, color, licensePlate } = req.body;
+  const files = req.files || [];
+
+  const driver = await Driver.findOne({ driver_info: req.user._id });
+  if (!driver) {
+    return next(new ApiError("Driver profile not found", 404));
+  }
+
+  const plateTaken = driver.vehicles.some(
+    (vehicle) => vehicle.licensePlate === licensePlate
+  );
+  if (plateTaken) {
+    return next(
+      new ApiError("A vehicle with this license plate already exists", 409)
+    );
+  }
+
+  await getActiveVehicleClass(type);
+
+  // A new vehicle comes with every required vehicle item of the checklist
+  const items = (await getChecklist(driver.country, type)).filter((item) =>
+    vehicleKinds.includes(item.kind)
+  );
+  const missing = items
+    .filter(
+      (item) =>
+        item.required && !files.some((file) => file.fieldname === item.key)
+    )
+    .map((item) => item.label);
+  if (missing.length) {
+    return next(new ApiError(`Missing: ${missing.join(", ")}`, 400));
+  }
+
+  driver.vehicles.push({ type, model, color, licensePlate });
+  const vehicle = driver.vehicles[driver.vehicles.length - 1];
+  await applyChecklistItems({
+    items,
+    driver,
+    vehicle,
+    files,
+    body: req.body,
+  });
+
+  driver.history.push({ message: `Driver added a ${type}: ${licensePlate}` });
+  await driver.save();
+
+  res.status(201).json({
+    status: "success",
+    data: vehicle,
+  });
+});
+
+// @desc    Remove one of the driver's vehicles
+// @route   DELETE /api/v1/drivers/vehicles/:vehicleId
+// @access  Private (Driver only)
+exports.removeVehicle = asyncHandler(async (req, res, next) => {
+  const driver = await Driver.findOne({ driver_info: req.user._id });
+  const vehicle = driver?.vehicles.id(req.params.vehicleId);
+
+  if (!vehicle) {
+    return next(
+      new ApiError(`No vehicle for this id: ${req.params.vehicleId}`, 404)
+    );
+  }
+
+  const isActive = vehicle._id.equals(driver.activeVehicle);
+  if (isActive && driver.isAvailable) {
+    return next(
+      new ApiError("Go unavailable before removing your active vehicle", 409)
+    );
+  }
+
+  await deleteSupersededFiles([
+    ...[...vehicle.documents.values()].map((document) => document.publicId),
+    ...vehicle.photos.map((photo) => photo.publicId),
+  ]);
+
+  vehicle.deleteOne();
+  if (isActive) {
+    driver.activeVehicle = undefined;
+    driver.activeVehicleType = undefined;
+  }
+  driver.history.push({
+    message: `Driver removed a ${vehicle.type}: ${vehicle.licensePlate}`,
+  });
+  await driver.save();
+
+  res.status(204).json({ status: "success", data: null });
+});
+
+// @desc    Approve or reject one of a driver's vehicles
+// @route   PUT /api/v1/drivers/onboarding/:id/vehicles/:vehicleId/status
+// @access  Private (Admin only)
+exports.updateVehicleStatus = asyncHandler(async (req, res, next) => {
+  const { status, reason } = req.body;
+
+  const driver = await Driver.findById(req.params.id);
+  const vehicle = driver?.vehicles.id(req.params.vehicleId);
+
+  if (!vehicle) {
+    return next(
+      new ApiError(`No vehicle for this id: ${req.params.vehicleId}`, 404)
+    );
+  }
+
+  vehicle.status = status;
+  vehicle.rejectionReason = status === "rejected" ? reason : undefined;
+
+  // A rejected active vehicle can't keep taking moves
+  if (status === "rejected" && vehicle._id.equals(driver.activeVehicle)) {
+    driver.isAvailable = false;
+    driver.activeVehicle = undefined;
+    driver.activeVehicleType = undefined;
+  }
+
+  driver.history.push({
+    message:
+      status === "accepted"
+        ? `Admins approved your ${vehicle.type}: ${vehicle.licensePlate}`
+        : `Admins rejected your ${vehicle.type}: ${vehicle.licensePlate} due to ${reason}`,
+  });
+  await driver.save();
+
+  res.status(200).json({
+    status: "success",
+    data: vehicle,
+  });
+});
+
 // @desc    Get drivers onboarding requests
 // @route   PUT /api/v1/drivers/onboarding
 // @access  Private (Admin only)
@@ -164,7 +503,31 @@ exports.updateDriverStatus = asyncHandler(async (req, res, next) => {
       return next(new ApiError("Driver not found", 404));
     }
 
+    // Only complete profiles can be approved
+    if (status === "accepted") {
+      const vehicle = checklistVehicle(driver);
+      const items = await getChecklist(driver.country, vehicle?.type);
+      const { missing } = checklistProgress(items, driver, vehicle);
+      if (missing.length) {
+        return next(
+          new ApiError(
+            `Driver's onboarding is incomplete, missing: ${missing.join(", ")}`,
+            409
+          )
+        );
+      }
+    }
+
+    const changed = driver.status !== status;
     driver.status = status;
+    driver.suspensionCause =
+      status === "suspended" ? suspensionCause.ADMIN : undefined;
+    // Vehicles waiting for approval are verified along with the profile
+    if (status === "accepted") {
+      driver.vehicles.forEach((vehicle) => {
+        if (vehicle.status === "pending") vehicle.status = "accepted";
+      });
+    }
     if (status === "accepted" || status === "rejected") {
       driver.history.push({
         message: `Account status changed to ${status}. ${
@@ -174,13 +537,18 @@ exports.updateDriverStatus = asyncHandler(async (req, res, next) => {
         }`,
       });
     } else if (status === "suspended") {
-      driver.history.push(
-        `Account status changed to ${status}. Due to ${reason}`
-      );
+      driver.isAvailable = false;
+      driver.history.push({
+        message: `Account status changed to ${status}. Due to ${reason}`,
+      });
     }
 
     await driver.save();
 
+    if (changed && driver.driver_info) {
+      await notifyDriverStatus(driver.driver_info, status, reason);
+    }
+
     res.status(200).json({
       status: "success",
       data: driver,
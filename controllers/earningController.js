@@ -0,0 +1,84 @@
+const asyncHandler = require("express-async-handler");
+
+const Earning = require("../models/earningModel");
+const PayoutBatch = require("../models/payoutBatchModel");
+const { summarizeEarnings } = require("../utils/Earnings/ledger");
+
+const APP_TIMEZONE = process.env.APP_TIMEZONE || "Africa/Cairo";
+const DAY = 24 * 60 * 60 * 1000;
+
+// @desc    Get the logged in driver's earnings over a date range (last 30
+//          days by default) with totals, optionally per day, week or month
+// @route   GET /api/v1/drivers/me/earnings
+// @access  Private (Driver only)
+exports.getMyEarnings = asyncHandler(async (req, res, next) => {
+  const { page, limit, interval } = req.query;
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - 30 * DAY);
+
+  const filter = {
+    driver: req.user._id,
+    createdAt: { $gte: from, $lte: to },
+  };
+
+  const [summary, periods, unpaid] = await Promise.all([
+    summarizeEarnings(filter),
+    interval && summarizeEarnings(filter, interval, APP_TIMEZONE),
+    // not paid out yet, whatever the range
+    summarizeEarnings({ driver: req.user._id, payout: null }),
+  ]);
+
+  const totalEntriesCount = await Earning.countDocuments(filter);
+  // Pagination logic
+  const pageNum = page * 1 || 1;
+  const limitNum = limit * 1 || 20;
+  const skipNum = (pageNum - 1) * limitNum;
+  const totalPages = Math.ceil(totalEntriesCount / limitNum);
+
+  const entries = await Earning.find(filter)
+    .select("-driver")
+    .sort({ createdAt: -1 })
+    .skip(skipNum)
+    .limit(limitNum);
+
+  res.status(200).json({
+    totalPages,
+    page: pageNum,
+    results: entries.length,
+    range: { from, to },
+    summary,
+    ...(periods && { periods }),
+    unpaid: unpaid.map(({ currency, net }) => ({ currency, amount: net })),
+    data: entries,
+  });
+});
+
+// @desc    Get the logged in driver's payout statements
+// @route   GET /api/v1/drivers/me/payouts
+// @access  Private (Driver only)
+exports.getMyPayouts = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+  const filter = { driver: req.user._id };
+
+  const totalPayoutsCount = await PayoutBatch.countDocuments(filter);
+  // Pagination logic
+  const pageNum = page * 1 || 1;
+  const limitNum = limit * 1 || 10;
+  const skipNum = (pageNum - 1) * limitNum;
+  const totalPages = Math.ceil(totalPayoutsCount / limitNum);
+
+  const payouts = await PayoutBatch.find(filter)
+    .select("-createdBy -history.by")
+    .sort({ createdAt: -1 })
+    .skip(skipNum)
+    .limit(limitNum);
+
+  res.status(200).json({
+    totalPages,
+    page: pageNum,
+    results: payouts.length,
+    data: payouts,
+  });
+});
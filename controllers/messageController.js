@@ -0,0 +1,44 @@
+const asyncHandler = require("express-async-handler");
+
+const ApiError = require("../utils/ApiError");
+const MoveRequest = require("../models/moveRequestModel");
+const Message = require("../models/messageModel");
+
+// @desc    Get a move's chat history, newest first
+// @route   GET /api/v1/moves/:id/messages
+// @access  Private (Move's customer, assigned driver or Admin)
+exports.getMoveMessages = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+
+  const move = await MoveRequest.exists({
+    _id: req.params.id,
+    ...MoveRequest.accessFilter(req.user),
+  });
+
+  if (!move) {
+    return next(
+      new ApiError(`No move found for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  const filter = { move: req.params.id };
+
+  const totalMessagesCount = await Message.countDocuments(filter);
+  // Pagination logic
+  const pageNum = page * 1 || 1;
+  const limitNum = limit * 1 || 20;
+  const skipNum = (pageNum - 1) * limitNum;
+  const totalPages = Math.ceil(totalMessagesCount / limitNum);
+
+  const messages = await Message.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skipNum)
+    .limit(limitNum);
+
+  res.status(200).json({
+    totalPages,
+    page: pageNum,
+    results: messages.length,
+    data: messages,
+  });
+});
@@ -0,0 +1,382 @@
+const asyncHandler = require("express-async-handler");
+
+const ApiError = require("../utils/ApiError");
+const MoveRequest = require("../models/moveRequestModel");
+const { moveStatus, roles } = require("../utils/Constant/enum");
+const { estimateFare } = require("../utils/Pricing/fareEstimator");
+const { recordMoveEarnings } = require("../utils/Earnings/ledger");
+const { buildInventory } = require("../utils/Inventory/inventory");
+const {
+  getActiveVehicleClass,
+  needsStairs,
+  vehicleClassProblem,
+  recommendVehicleClass,
+} = require("../utils/Vehicles/vehicleClasses");
+const { cancelOffer } = require("../utils/Matching/driverMatching");
+const {
+  createPaymentForMove,
+  capturePaymentForMove,
+  releasePaymentForMove,
+} = require("../utils/Stripe/payments");
+const {
+  RESCHEDULE_CUTOFF_HOURS,
+  parseBookingSlot,
+  getDispatchTime,
+  canReschedule,
+} = require("../utils/Scheduling/bookingWindow");
+
+// Statuses each role may move a job into, admins may apply any legal transition
+// but driver_assigned, which only dispatch sets along with the driver
+const statusActors = {
+  [roles.CUSTOMER]: [moveStatus.COMPLETED],
+  [roles.DRIVER]: [
+    moveStatus.DRIVER_ARRIVING,
+    moveStatus.LOADING,
+    moveStatus.IN_TRANSIT,
+    moveStatus.DELIVERED,
+  ],
+};
+
+const toPoint = ({ coordinates }) => ({
+  type: "Point",
+  coordinates: coordinates.map(Number),
+});
+
+const toStop = (stop) => ({
+  address: stop.address,
+  floor: stop.floor,
+  hasElevator: stop.hasElevator,
+  location: toPoint(stop),
+});
+
+/**
+ * Size up the move and pick the vehicle type: the customer's choice when its
+ * vehicle class can take the inventory, helpers and stairs, otherwise the
+ * smallest class that can.
+ */
+const resolveVehicle = async ({
+  pickup,
+  dropoff,
+  inventory: items,
+  vehicleType,
+  helpers,
+}) => {
+  const { inventory, totals } = items ? buildInventory(items) : {};
+  const requirements = {
+    totals,
+    helpers,
+    stairs: needsStairs(pickup) || needsStairs(dropoff),
+  };
+
+  const recommended = await recommendVehicleClass(requirements);
+  const recommendedVehicleType = recommended ? recommended.key : undefined;
+
+  if (vehicleType) {
+    const problem = vehicleClassProblem(
+      await getActiveVehicleClass(vehicleType),
+      requirements
+    );
+    if (problem) {
+      throw new ApiError(
+        recommended
+          ? `${problem}, a ${recommendedVehicleType} can take this move`
+          : problem,
+        400
+      );
+    }
+  } else if (!recommended) {
+    throw new ApiError(
+      "No vehicle can take this move, please split it into smaller moves",
+      400
+    );
+  }
+
+  return {
+    vehicleType: vehicleType || recommendedVehicleType,
+    recommendedVehicleType,
+    inventory,
+    inventoryTotals: totals,
+  };
+};
+
+// @desc    Get a price quote for a move before booking it
+// @route   POST /api/v1/moves/estimate
+// @access  Private (Customer only)
+exports.estimateMove = asyncHandler(async (req, res, next) => {
+  const { pickup, dropoff, helpers, time } = req.body;
+  const { vehicleType, recommendedVehicleType, inventoryTotals } =
+    await resolveVehicle(req.body);
+
+  const estimate = await estimateFare({
+    pickup,
+    dropoff,
+    vehicleType,
+    helpers,
+    time: time ? new Date(time) : new Date(),
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: { ...estimate, recommendedVehicleType, inventoryTotals },
+  });
+});
+
+// @desc    Book a new move
+// @route   POST /api/v1/moves
+// @access  Private (Customer only)
+exports.createMove = asyncHandler(async (req, res, next) => {
+  const { pickup, dropoff, helpers, itemsNotes, timezone } = req.body;
+  const { vehicleType, ...inventoryDetails } = await resolveVehicle(req.body);
+
+  // Moves without a slot are on-demand
+  const scheduledFor =
+    req.body.scheduledFor && parseBookingSlot(req.body.scheduledFor, timezone);
+
+  const estimate = await estimateFare({
+    pickup,
+    dropoff,
+    vehicleType,
+    helpers,
+    time: scheduledFor || new Date(),
+  });
+
+  const move = await MoveRequest.create({
+    customer: req.user._id,
+    pickup: toStop(pickup),
+    dropoff: toStop(dropoff),
+    vehicleType,
+    ...inventoryDetails,
+    helpers,
+    ...(scheduledFor && {
+      scheduledFor,
+      timezone,
+      dispatchAt: getDispatchTime(scheduledFor),
+    }),
+    fare: {
+      total: estimate.total,
+      currency: estimate.currency,
+      distanceKm: estimate.distanceKm,
+      durationMin: estimate.durationMin,
+    },
+    itemsNotes,
+    history: [
+      {
+        status: moveStatus.REQUESTED,
+        message: "Customer requested a move",
+        by: req.user._id,
+        role: req.user.role,
+      },
+    ],
+  });
+
+  // Drivers are offered the move once the payment webhook reports the
+  // customer authorized the amount
+  let payment;
+  let clientSecret;
+  try {
+    ({ payment, clientSecret } = await createPaymentForMove(move));
+  } catch (error) {
+    await move.deleteOne();
+    return next(new ApiError("Payment could not be initialized", 502, error));
+  }
+
+  res.status(201).json({
+    status: "success",
+    data: move,
+    payment: {
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      clientSecret,
+    },
+  });
+});
+
+// @desc    Get logged customer's moves
+// @route   GET /api/v1/moves
+// @access  Private (Customer only)
+exports.getMyMoves = asyncHandler(async (req, res, next) => {
+  const { page, limit, status } = req.query;
+
+  const filter = { customer: req.user._id };
+  if (status) filter.status = status;
+
+  const totalMovesCount = await MoveRequest.countDocuments(filter);
+  // Pagination logic
+  const pageNum = page * 1 || 1;
+  const limitNum = limit * 1 || 5;
+  const skipNum = (pageNum - 1) * limitNum;
+  const totalPages = Math.ceil(totalMovesCount / limitNum);
+
+  const moves = await MoveRequest.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skipNum)
+    .limit(limitNum);
+
+  res
+    .status(200)
+    .json({ totalPages, page: pageNum, results: moves.length, data: moves });
+});
+
+// @desc    Get a specific move with its status history
+// @route   GET /api/v1/moves/:id
+// @access  Private (Move's customer, assigned driver or Admin)
+exports.getMove = asyncHandler(async (req, res, next) => {
+  const move = await MoveRequest.findOne({
+    _id: req.params.id,
+    ...MoveRequest.accessFilter(req.user),
+  });
+
+  if (!move) {
+    return next(
+      new ApiError(`No move found for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: move,
+  });
+});
+
+// @desc    Cancel a move that has not been picked up yet
+// @route   PUT /api/v1/moves/:id/cancel
+// @access  Private (Customer only)
+exports.cancelMove = asyncHandler(async (req, res, next) => {
+  const move = await MoveRequest.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!move) {
+    return next(
+      new ApiError(`No move found for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  move.transitionTo(moveStatus.CANCELLED, {
+    by: req.user._id,
+    role: req.user.role,
+    message: req.body.reason
+      ? `Customer cancelled the move: ${req.body.reason}`
+      : "Customer cancelled the move",
+  });
+  move.cancellationReason = req.body.reason;
+  await move.save();
+  cancelOffer(move._id);
+  releasePaymentForMove(move._id);
+
+  res.status(200).json({
+    status: "success",
+    data: move,
+  });
+});
+
+// @desc    Advance a move through its lifecycle
+// @route   PUT /api/v1/moves/:id/status
+// @access  Private (Move's customer, assigned driver or Admin)
+exports.updateMoveStatus = asyncHandler(async (req, res, next) => {
+  const { status, message } = req.body;
+
+  const move = await MoveRequest.findOne({
+    _id: req.params.id,
+    ...MoveRequest.accessFilter(req.user),
+  });
+
+  if (!move) {
+    return next(
+      new ApiError(`No move found for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  const actorStatuses = statusActors[req.user.role];
+  if (
+    status === moveStatus.DRIVER_ASSIGNED ||
+    (actorStatuses && !actorStatuses.includes(status))
+  ) {
+    return next(
+      new ApiError(`You are not allowed to set move status to ${status}`, 403)
+    );
+  }
+
+  move.transitionTo(status, {
+    by: req.user._id,
+    role: req.user.role,
+    message,
+  });
+
+  // Charge the authorized amount before the move is marked completed
+  if (status === moveStatus.COMPLETED) {
+    await capturePaymentForMove(move._id);
+  }
+  await move.save();
+
+  // The move is completed and paid either way, the earnings job retries
+  if (status === moveStatus.COMPLETED) {
+    await recordMoveEarnings(move).catch((err) =>
+      console.error(`Recording earnings of move ${move._id} failed:`, err)
+    );
+  }
+  if (status === moveStatus.CANCELLED || status === moveStatus.FAILED) {
+    cancelOffer(move._id);
+    releasePaymentForMove(move._id);
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: move,
+  });
+});
+
+// @desc    Move a scheduled move to another slot
+// @route   PUT /api/v1/moves/:id/reschedule
+// @access  Private (Customer only)
+exports.rescheduleMove = asyncHandler(async (req, res, next) => {
+  const { timezone } = req.body;
+
+  const move = await MoveRequest.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!move) {
+    return next(
+      new ApiError(`No move found for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  if (!move.scheduledFor) {
+    return next(new ApiError("Only scheduled moves can be rescheduled", 409));
+  }
+
+  if (
+    move.status !== moveStatus.REQUESTED ||
+    move.dispatchedAt ||
+    !canReschedule(move.scheduledFor)
+  ) {
+    return next(
+      new ApiError(
+        `Moves can only be rescheduled up to ${RESCHEDULE_CUTOFF_HOURS} hours before their slot`,
+        409
+      )
+    );
+  }
+
+  const scheduledFor = parseBookingSlot(req.body.scheduledFor, timezone);
+
+  move.scheduledFor = scheduledFor;
+  move.timezone = timezone;
+  move.dispatchAt = getDispatchTime(scheduledFor);
+  move.history.push({
+    status: move.status,
+    message: `Customer rescheduled the move to ${scheduledFor.toISOString()}`,
+    by: req.user._id,
+    role: req.user.role,
+  });
+  await move.save();
+
+  res.status(200).json({
+    status: "success",
+    data: move,
+  });
+});
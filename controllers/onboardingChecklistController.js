@@ -0,0 +1,80 @@
+const asyncHandler = require("express-async-handler");
+
+const ApiError = require("../utils/ApiError");
+const OnboardingChecklist = require("../models/onboardingChecklistModel");
+
+// @desc    Get all onboarding checklists
+// @route   GET /api/v1/onboarding-checklists
+// @access  Private (Admin only)
+exports.getOnboardingChecklists = asyncHandler(async (req, res, next) => {
+  const checklists = await OnboardingChecklist.find().sort({
+    country: 1,
+    vehicleType: 1,
+  });
+
+  res.status(200).json({ results: checklists.length, data: checklists });
+});
+
+// @desc    Create the onboarding checklist of a country and/or vehicle type
+// @route   POST /api/v1/onboarding-checklists
+// @access  Private (Admin only)
+exports.createOnboardingChecklist = asyncHandler(async (req, res, next) => {
+  const { country = null, vehicleType = null, items } = req.body;
+
+  if (await OnboardingChecklist.exists({ country, vehicleType })) {
+    return next(
+      new ApiError(
+        "A checklist already exists for this country and vehicle type",
+        409
+      )
+    );
+  }
+
+  const checklist = await OnboardingChecklist.create({
+    country,
+    vehicleType,
+    items,
+  });
+
+  res.status(201).json({ message: "Success", data: checklist });
+});
+
+// @desc    Replace a checklist's items, its country and vehicle type can't
+//          change
+// @route   PUT /api/v1/onboarding-checklists/:id
+// @access  Private (Admin only)
+exports.updateOnboardingChecklist = asyncHandler(async (req, res, next) => {
+  const checklist = await OnboardingChecklist.findByIdAndUpdate(
+    req.params.id,
+    { items: req.body.items },
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  if (!checklist) {
+    return next(
+      new ApiError(`No onboarding checklist for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({ data: checklist });
+});
+
+// @desc    Delete a checklist, its market falls back to a broader one
+// @route   DELETE /api/v1/onboarding-checklists/:id
+// @access  Private (Admin only)
+exports.deleteOnboardingChecklist = asyncHandler(async (req, res, next) => {
+  const checklist = await OnboardingChecklist.findByIdAndDelete(req.params.id);
+
+  if (!checklist) {
+    return next(
+      new ApiError(`No onboarding checklist for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  res
+    .status(204)
+    .json({ message: "Onboarding checklist deleted successfully" });
+});
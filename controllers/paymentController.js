@@ -0,0 +1,31 @@
+const asyncHandler = require("express-async-handler");
+
+const ApiError = require("../utils/ApiError");
+const { getStripe } = require("../utils/Stripe/stripe");
+const { handleStripeEvent } = require("../utils/Stripe/payments");
+
+// @desc    Receive Stripe payment events
+// @route   POST /api/v1/payments/webhook
+// @access  Public (Stripe signed)
+exports.stripeWebhook = asyncHandler(async (req, res, next) => {
+  let event;
+  try {
+    // req.body is the raw buffer, the signature is computed over it
+    event = getStripe().webhooks.constructEvent(
+      req.body,
+      req.headers["stripe-signature"],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    return next(
+      new ApiError(
+        `Webhook signature verification failed: ${error.message}`,
+        400
+      )
+    );
+  }
+
+  await handleStripeEvent(event);
+
+  res.status(200).json({ received: true });
+});
@@ -0,0 +1,197 @@
+const asyncHandler = require("express-async-handler");
+
+const ApiError = require("../utils/ApiError");
+const Earning = require("../models/earningModel");
+const PayoutBatch = require("../models/payoutBatchModel");
+const usersModel = require("../models/userModel");
+const { payoutStatus, roles } = require("../utils/Constant/enum");
+
+// @desc    Group unpaid ledger entries up to `until` (now by default) into one
+//          pending payout batch per driver and currency
+// @route   POST /api/v1/payouts/run
+// @access  Private (Admin only)
+exports.runPayouts = asyncHandler(async (req, res, next) => {
+  const periodEnd = req.body.until ? new Date(req.body.until) : new Date();
+
+  const groups = await Earning.aggregate([
+    { $match: { payout: null, createdAt: { $lte: periodEnd } } },
+    {
+      $group: {
+        _id: { driver: "$driver", currency: "$currency" },
+        amount: { $sum: "$amount" },
+        entries: { $push: "$_id" },
+      },
+    },
+    // balances owed to the platform are carried to the next run
+    { $match: { amount: { $gt: 0 } } },
+  ]);
+
+  const batches = [];
+  for (const { _id, entries } of groups) {
+    // Saved before claiming, so claimed entries always point to a batch
+    const batch = await PayoutBatch.create({
+      driver: _id.driver,
+      currency: _id.currency,
+      amount: 0,
+      periodEnd,
+      createdBy: req.user._id,
+      history: [{ status: payoutStatus.PENDING, by: req.user._id }],
+    });
+
+    try {
+      // Only entries no concurrent run claimed first end up in the batch
+      await Earning.updateMany(
+        { _id: { $in: entries }, payout: null },
+        { $set: { payout: batch._id } }
+      );
+      const [claimed] = await Earning.aggregate([
+        { $match: { payout: batch._id } },
+        {
+          $group: {
+            _id: null,
+            amount: { $sum: "$amount" },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+      if (!claimed) {
+        await batch.deleteOne();
+        continue;
+      }
+
+      batch.amount = Math.round(claimed.amount * 100) / 100;
+      batch.entriesCount = claimed.count;
+      batches.push(await batch.save());
+    } catch (error) {
+      // Hand the entries back to the next run
+      await Earning.updateMany(
+        { payout: batch._id },
+        { $set: { payout: null } }
+      );
+      await batch.deleteOne();
+      throw error;
+    }
+  }
+
+  res.status(201).json({ results: batches.length, data: batches });
+});
+
+// @desc    Get payout batches
+// @route   GET /api/v1/payouts
+// @access  Private (Admin only)
+exports.getPayouts = asyncHandler(async (req, res, next) => {
+  const { page, limit, status, driver } = req.query;
+  const filter = {
+    ...(status && { status }),
+    ...(driver && { driver }),
+  };
+
+  const totalPayoutsCount = await PayoutBatch.countDocuments(filter);
+  // Pagination logic
+  const pageNum = page * 1 || 1;
+  const limitNum = limit * 1 || 10;
+  const skipNum = (pageNum - 1) * limitNum;
+  const totalPages = Math.ceil(totalPayoutsCount / limitNum);
+
+  const payouts = await PayoutBatch.find(filter)
+    .populate("driver", "name email phone")
+    .sort({ createdAt: -1 })
+    .skip(skipNum)
+    .limit(limitNum);
+
+  res.status(200).json({
+    totalPages,
+    page: pageNum,
+    results: payouts.length,
+    data: payouts,
+  });
+});
+
+// @desc    Get a payout batch with its ledger entries
+// @route   GET /api/v1/payouts/:id
+// @access  Private (Admin only)
+exports.getPayout = asyncHandler(async (req, res, next) => {
+  const payout = await PayoutBatch.findById(req.params.id).populate(
+    "driver",
+    "name email phone"
+  );
+
+  if (!payout) {
+    return next(new ApiError(`No payout for this id: ${req.params.id}`, 404));
+  }
+
+  const entries = await Earning.find({ payout: payout._id }).sort({
+    createdAt: 1,
+  });
+
+  res.status(200).json({ data: { ...payout.toJSON(), entries } });
+});
+
+// @desc    Mark a pending payout paid, or failed which releases its entries
+//          to the next run
+// @route   PUT /api/v1/payouts/:id/status
+// @access  Private (Admin only)
+exports.updatePayoutStatus = asyncHandler(async (req, res, next) => {
+  const { status, reference, reason } = req.body;
+
+  const payout = await PayoutBatch.findOneAndUpdate(
+    { _id: req.params.id, status: payoutStatus.PENDING },
+    {
+      $set: {
+        status,
+        ...(status === payoutStatus.PAID
+          ? { reference }
+          : { failureReason: reason }),
+      },
+      $push: {
+        history: { status, by: req.user._id, message: reason || reference },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!payout) {
+    return next(
+      new ApiError(
+        `No pending payout for this id: ${req.params.id}, payouts can only change once`,
+        409
+      )
+    );
+  }
+
+  if (status === payoutStatus.FAILED) {
+    await Earning.updateMany(
+      { payout: payout._id },
+      { $set: { payout: null } }
+    );
+  }
+
+  res.status(200).json({ data: payout });
+});
+
+// @desc    Add a tip or manual adjustment to a driver's ledger
+// @route   POST /api/v1/payouts/earnings
+// @access  Private (Admin only)
+exports.createEarningEntry = asyncHandler(async (req, res, next) => {
+  const { driver, move, type, amount, currency, description } = req.body;
+
+  const driverUser = await usersModel.exists({
+    _id: driver,
+    role: roles.DRIVER,
+  });
+  if (!driverUser) {
+    return next(new ApiError(`No driver for this id: ${driver}`, 404));
+  }
+
+  const entry = await Earning.create({
+    driver,
+    move,
+    type,
+    amount: Number(amount),
+    currency,
+    description,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({ message: "Success", data: entry });
+});
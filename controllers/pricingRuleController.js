@@ -0,0 +1,83 @@
+const asyncHandler = require("express-async-handler");
+
+const ApiError = require("../utils/ApiError");
+const PricingRule = require("../models/pricingRuleModel");
+const VehicleClass = require("../models/vehicleClassModel");
+
+// @desc    Get all pricing rules
+// @route   GET /api/v1/pricing-rules
+// @access  Private (Admin only)
+exports.getPricingRules = asyncHandler(async (req, res, next) => {
+  const pricingRules = await PricingRule.find().sort({ vehicleType: 1 });
+
+  res.status(200).json({ results: pricingRules.length, data: pricingRules });
+});
+
+// @desc    Create a pricing rule for a vehicle type
+// @route   POST /api/v1/pricing-rules
+// @access  Private (Admin only)
+exports.createPricingRule = asyncHandler(async (req, res, next) => {
+  if (!(await VehicleClass.exists({ key: req.body.vehicleType }))) {
+    return next(
+      new ApiError(
+        `No vehicle class for this key: ${req.body.vehicleType}`,
+        404
+      )
+    );
+  }
+
+  const exists = await PricingRule.exists({
+    vehicleType: req.body.vehicleType,
+  });
+  if (exists) {
+    return next(
+      new ApiError(
+        `A pricing rule already exists for vehicle type: ${req.body.vehicleType}`,
+        409
+      )
+    );
+  }
+
+  const pricingRule = await PricingRule.create(req.body);
+
+  res.status(201).json({ message: "Success", data: pricingRule });
+});
+
+// @desc    Update a pricing rule
+// @route   PUT /api/v1/pricing-rules/:id
+// @access  Private (Admin only)
+exports.updatePricingRule = asyncHandler(async (req, res, next) => {
+  const { vehicleType, ...updates } = req.body;
+
+  const pricingRule = await PricingRule.findByIdAndUpdate(
+    req.params.id,
+    updates,
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  if (!pricingRule) {
+    return next(
+      new ApiError(`No pricing rule for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({ data: pricingRule });
+});
+
+// @desc    Delete a pricing rule
+// @route   DELETE /api/v1/pricing-rules/:id
+// @access  Private (Admin only)
+exports.deletePricingRule = asyncHandler(async (req, res, next) => {
+  const pricingRule = await PricingRule.findByIdAndDelete(req.params.id);
+
+  if (!pricingRule) {
+    return next(
+      new ApiError(`No pricing rule for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(204).json({ message: "Pricing rule deleted successfully" });
+});
@@ -0,0 +1,119 @@
+const asyncHandler = require("express-async-handler");
+
+const ApiError = require("../utils/ApiError");
+const MoveRequest = require("../models/moveRequestModel");
+const Review = require("../models/reviewModel");
+const Driver = require("../models/driverModel");
+const usersModel = require("../models/userModel");
+const { moveStatus, roles } = require("../utils/Constant/enum");
+
+// Fold a new rating into a running average in one atomic update, so
+// concurrent reviews can't overwrite each other's contribution. Documents
+// created before the rating field existed count as unrated.
+const addRating = (stars) => {
+  const average = { $ifNull: ["$rating.average", 0] };
+  const count = { $ifNull: ["$rating.count", 0] };
+
+  return [
+    {
+      $set: {
+        "rating.average": {
+          $divide: [
+            { $add: [{ $multiply: [average, count] }, stars] },
+            { $add: [count, 1] },
+          ],
+        },
+        "rating.count": { $add: [count, 1] },
+      },
+    },
+  ];
+};
+
+// @desc    Review the other party of a completed move, customers rate the
+//          driver and drivers rate the customer
+// @route   POST /api/v1/moves/:id/review
+// @access  Private (Move's customer or assigned driver)
+exports.createMoveReview = asyncHandler(async (req, res, next) => {
+  const { stars, comment } = req.body;
+  const target = req.user.role === roles.DRIVER ? "customer" : "driver";
+
+  const move = await MoveRequest.findOne({
+    _id: req.params.id,
+    ...MoveRequest.accessFilter(req.user),
+  });
+
+  if (!move) {
+    return next(
+      new ApiError(`No move found for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  if (move.status !== moveStatus.COMPLETED) {
+    return next(new ApiError("Only completed moves can be reviewed", 409));
+  }
+
+  if (await Review.exists({ move: move._id, target })) {
+    return next(new ApiError("You already reviewed this move", 409));
+  }
+
+  const review = await Review.create({
+    move: move._id,
+    target,
+    driver: move.driver,
+    customer: move.customer,
+    stars: Number(stars),
+    comment,
+  });
+
+  if (target === "driver") {
+    await Driver.updateOne(
+      { driver_info: move.driver },
+      addRating(review.stars)
+    );
+  } else {
+    await usersModel.updateOne({ _id: move.customer }, addRating(review.stars));
+  }
+
+  res.status(201).json({
+    status: "success",
+    data: review,
+  });
+});
+
+// @desc    Get a driver's reviews
+// @route   GET /api/v1/drivers/:id/reviews
+// @access  Public
+exports.getDriverReviews = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+
+  const driver = await Driver.findById(req.params.id).select(
+    "driver_info rating"
+  );
+  if (!driver) {
+    return next(new ApiError("Driver not found", 404));
+  }
+
+  const filter = { driver: driver.driver_info, target: "driver" };
+
+  const totalReviewsCount = await Review.countDocuments(filter);
+  // Pagination logic
+  const pageNum = page * 1 || 1;
+  const limitNum = limit * 1 || 10;
+  const skipNum = (pageNum - 1) * limitNum;
+  const totalPages = Math.ceil(totalReviewsCount / limitNum);
+
+  const reviews = await Review.find(filter)
+    .select("-driver")
+    .populate("customer", "name image")
+    .sort({ createdAt: -1 })
+    .skip(skipNum)
+    .limit(limitNum);
+
+  res.status(200).json({
+    totalPages,
+    page: pageNum,
+    results: reviews.length,
+    rating: driver.rating,
+    data: reviews,
+  });
+});
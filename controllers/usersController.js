@@ -4,14 +4,18 @@ const bcrypt = require("bcrypt");
 const usersModel = require("../models/userModel");
 const blackListModel = require("../models/blackListModel");
 const { cloudinary } = require("../utils/Cloudinary/cloud");
+const { getPresence } = require("../socketConfig");
 
 const ApiError = require("../utils/ApiError");
 
+const LOW_RATED_CUSTOMER_THRESHOLD =
+  Number(process.env.LOW_RATED_CUSTOMER_THRESHOLD) || 3;
+
 //----- Admin Routes -----
 
 exports.getUsers = asyncHandler(async (req, res, next) => {
   let filter = {};
-  const { page, limit, ...query } = req.query;
+  const { page, limit, ratingBelow, lowRated, ...query } = req.query;
 
   Object.keys(query).forEach((key) => {
     if (typeof query[key] === "string") {
@@ -25,6 +29,16 @@ exports.getUsers = asyncHandler(async (req, res, next) => {
     filter.role = { $ne: "superAdmin" };
   }
 
+  // Customers rated below a threshold by drivers, `lowRated=true` uses the
+  // default threshold
+  if (ratingBelow || lowRated === "true") {
+    filter.role = "customer";
+    filter["rating.count"] = { $gt: 0 };
+    filter["rating.average"] = {
+      $lt: Number(ratingBelow) || LOW_RATED_CUSTOMER_THRESHOLD,
+    };
+  }
+
   const totalUsersCount = await usersModel.countDocuments(filter);
   let users;
   // Pagination logic
@@ -55,7 +69,10 @@ exports.getUser = asyncHandler(async (req, res, next) => {
       return next(new ApiError(`No user found for this id: ${id}`, 404));
     }
 
-    res.status(200).json({ message: "Success", data: user });
+    res.status(200).json({
+      message: "Success",
+      data: { ...user.toJSON(), presence: getPresence(id) },
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: "Internal Server Error" });
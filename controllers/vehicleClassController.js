@@ -0,0 +1,98 @@
+const asyncHandler = require("express-async-handler");
+
+const ApiError = require("../utils/ApiError");
+const VehicleClass = require("../models/vehicleClassModel");
+const Driver = require("../models/driverModel");
+const MoveRequest = require("../models/moveRequestModel");
+const PricingRule = require("../models/pricingRuleModel");
+const { roles } = require("../utils/Constant/enum");
+
+// @desc    Get vehicle classes, customers and drivers only see active ones
+// @route   GET /api/v1/vehicle-classes
+// @access  Private
+exports.getVehicleClasses = asyncHandler(async (req, res, next) => {
+  const isAdmin = [roles.ADMIN, roles.SUPER_ADMIN].includes(req.user.role);
+  const filter = isAdmin ? {} : { active: true };
+
+  const vehicleClasses = await VehicleClass.find(filter).sort({
+    maxVolume: 1,
+  });
+
+  res
+    .status(200)
+    .json({ results: vehicleClasses.length, data: vehicleClasses });
+});
+
+// @desc    Create a vehicle class
+// @route   POST /api/v1/vehicle-classes
+// @access  Private (Admin only)
+exports.createVehicleClass = asyncHandler(async (req, res, next) => {
+  if (await VehicleClass.exists({ key: req.body.key })) {
+    return next(
+      new ApiError(
+        `A vehicle class already exists with this key: ${req.body.key}`,
+        409
+      )
+    );
+  }
+
+  const vehicleClass = await VehicleClass.create(req.body);
+
+  res.status(201).json({ message: "Success", data: vehicleClass });
+});
+
+// @desc    Update a vehicle class, its key can't change
+// @route   PUT /api/v1/vehicle-classes/:id
+// @access  Private (Admin only)
+exports.updateVehicleClass = asyncHandler(async (req, res, next) => {
+  const { key, ...updates } = req.body;
+
+  const vehicleClass = await VehicleClass.findByIdAndUpdate(
+    req.params.id,
+    updates,
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  if (!vehicleClass) {
+    return next(
+      new ApiError(`No vehicle class for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({ data: vehicleClass });
+});
+
+// @desc    Delete a vehicle class nothing refers to, used ones can only be
+//          deactivated
+// @route   DELETE /api/v1/vehicle-classes/:id
+// @access  Private (Admin only)
+exports.deleteVehicleClass = asyncHandler(async (req, res, next) => {
+  const vehicleClass = await VehicleClass.findById(req.params.id);
+
+  if (!vehicleClass) {
+    return next(
+      new ApiError(`No vehicle class for this id: ${req.params.id}`, 404)
+    );
+  }
+
+  const [driver, move, pricingRule] = await Promise.all([
+    Driver.exists({ "vehicles.type": vehicleClass.key }),
+    MoveRequest.exists({ vehicleType: vehicleClass.key }),
+    PricingRule.exists({ vehicleType: vehicleClass.key }),
+  ]);
+  if (driver || move || pricingRule) {
+    return next(
+      new ApiError(
+        "This vehicle class is in use, deactivate it instead of deleting it",
+        409
+      )
+    );
+  }
+
+  await vehicleClass.deleteOne();
+
+  res.status(204).json({ message: "Vehicle class deleted successfully" });
+});
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Failed login attempts of an account or an IP, see utils/Security/bruteForce
+const authAttemptSchema = new mongoose.Schema(
+  {
+    // "account:<email>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: Date,
+    lockedUntil: Date,
+    // hashed token of the unlock link emailed when an account gets locked
+    unlockToken: String,
+    // forgotten after a quiet period or once the lock is over
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authAttemptSchema.index({ unlockToken: 1 }, { sparse: true });
+
+module.exports = mongoose.model("AuthAttempt", authAttemptSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// One conversation per move, between its customer and assigned driver
+const conversationSchema = new mongoose.Schema(
+  {
+    move: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MoveRequest",
+      unique: true,
+      required: true,
+    },
+    participants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+      },
+    ],
+    lastMessageAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+conversationSchema.index({ participants: 1 });
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+module.exports = Conversation;
@@ -1,5 +1,47 @@
 const mongoose = require('mongoose');
-const { vehicleType } = require("../utils/Constant/enum");
+const { suspensionCause } = require('../utils/Constant/enum');
+
+const fileSchema = new mongoose.Schema({
+    url: String,
+    publicId: String
+}, { _id: false });
+
+const documentSchema = new mongoose.Schema({
+    url: String,
+    publicId: String,
+    // checklist item label at upload time
+    label: String,
+    expiresAt: Date,
+    // days-before-expiry of the last reminder sent (30, 7 or 1)
+    reminderDays: Number
+}, { _id: false });
+
+const vehicleSchema = new mongoose.Schema({
+    // key of a vehicle class
+    type: {
+        type: String,
+        required: true
+    },
+    model: String,
+    color: String,
+    licensePlate: String,
+    // keyed by onboarding checklist item, e.g. carDrivingLicense
+    documents: {
+        type: Map,
+        of: documentSchema,
+        default: {}
+    },
+    photos: [fileSchema],
+    // each vehicle is approved by admins on its own
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected'],
+        default: 'pending'
+    },
+    rejectionReason: String
+}, {
+    timestamps: true
+});
 
 const driverSchema = new mongoose.Schema({
     driver_info: {
@@ -7,16 +49,11 @@ const driverSchema = new mongoose.Schema({
         ref: 'user',
         required: true
     },
-    vehicle: {
-        type: {
-            type: String,
-            enum: Object.values(vehicleType),
-            required: true
-        },
-        model: String,
-        color: String,
-        licensePlate: String
-    },
+    vehicles: [vehicleSchema],
+    // vehicle the driver is currently working with, picked when going
+    // available; its type is copied for matching
+    activeVehicle: mongoose.Schema.Types.ObjectId,
+    activeVehicleType: String,
     isAvailable: {
         type: Boolean,
         default: false
@@ -42,25 +79,60 @@ const driverSchema = new mongoose.Schema({
             default: 0
         }
     },
+    // keyed by onboarding checklist item, e.g. id, personalDrivingLicense
     documents: {
-        id: {
-            url: String,
-            publicId: String
-        },
-        carDrivingLicense: {
-            url: String,
-            publicId: String
+        type: Map,
+        of: documentSchema,
+        default: {}
+    },
+    // ISO 3166-1 alpha-2, picks the onboarding checklist
+    country: String,
+    bankDetails: {
+        accountHolder: String,
+        bankName: String,
+        iban: String
+    },
+    trainingAcknowledgedAt: Date,
+    // recurring weekly shifts in the driver's timezone, "HH:mm" times; a shift
+    // ending before it starts runs past midnight
+    shifts: [{
+        _id: false,
+        day: {
+            type: Number,
+            min: 0, // Sunday
+            max: 6
         },
-        personalDrivingLicense: {
-            url: String,
-            publicId: String
-        }
+        start: String,
+        end: String
+    }],
+    timeOff: [{
+        from: Date,
+        to: Date,
+        reason: String
+    }],
+    timezone: String,
+    // let the scheduler flip isAvailable at shift boundaries
+    autoAvailability: {
+        type: Boolean,
+        default: false
     },
+    // whether the driver was on shift at the scheduler's last run
+    onShift: {
+        type: Boolean,
+        default: false
+    },
+    // earliest expiry among the tracked documents, kept up to date on save
+    nextDocumentExpiry: Date,
     status: {
         type: String,
         enum: ['pending','accepted', 'rejected', 'suspended'],
         default: "pending"
     },
+    // why a suspended driver was suspended, decides who can lift it
+    suspensionCause: {
+        type: String,
+        enum: Object.values(suspensionCause)
+    },
     history:[{
         _id: false,
         message: {
@@ -75,9 +147,29 @@ const driverSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Documents of the driver and of approved vehicles, lets the expiry job find
+// drivers without scanning every document
+driverSchema.pre('save', function (next) {
+    const expiries = [
+        ...this.documents.values(),
+        ...this.vehicles
+            .filter((vehicle) => vehicle.status === 'accepted')
+            .flatMap((vehicle) => [...vehicle.documents.values()])
+    ]
+        .map((document) => document?.expiresAt)
+        .filter(Boolean);
+
+    this.nextDocumentExpiry = expiries.length
+        ? new Date(Math.min(...expiries))
+        : undefined;
+    next();
+});
+
 // Index for geospatial queries
 driverSchema.index({ currentLocation: '2dsphere' });
-driverSchema.index({ 'vehicle.type': 1, isAvailable: 1 });
+driverSchema.index({ activeVehicleType: 1, isAvailable: 1 });
+driverSchema.index({ status: 1, nextDocumentExpiry: 1 });
+driverSchema.index({ autoAvailability: 1, status: 1 });
 
 const Driver = mongoose.model('Driver', driverSchema);
 
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+const { earningType } = require("../utils/Constant/enum");
+
+// Append-only driver earnings ledger: entries are never edited or removed,
+// mistakes are fixed with an adjustment entry. Only `payout` is set, once,
+// when the entry is paid out.
+const earningSchema = new mongoose.Schema(
+  {
+    // driver's user account, as on moves
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    move: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MoveRequest",
+    },
+    type: {
+      type: String,
+      enum: Object.values(earningType),
+      required: true,
+    },
+    // in the currency's major unit, negative for commissions and deductions
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      required: true,
+    },
+    description: String,
+    // admin who added a manual entry
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayoutBatch",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+earningSchema.index({ driver: 1, createdAt: -1 });
+earningSchema.index({ payout: 1, createdAt: 1 });
+// a move's fare share and commission are recorded once
+earningSchema.index(
+  { move: 1, type: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      type: { $in: [earningType.FARE_SHARE, earningType.COMMISSION] },
+    },
+  }
+);
+
+earningSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Earning entries are append-only"));
+  }
+  next();
+});
+
+const Earning = mongoose.model("Earning", earningSchema);
+
+module.exports = Earning;
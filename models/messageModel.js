@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    move: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MoveRequest",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    text: {
+      type: String,
+      trim: true,
+      required: [true, "Message text is required"],
+      maxlength: [2000, "Message must be at most 2000 characters"],
+    },
+    // set when one of the receiver's devices acknowledges the message
+    deliveredAt: Date,
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+messageSchema.index({ move: 1, createdAt: -1 });
+messageSchema.index({ receiver: 1, deliveredAt: 1 });
+
+const Message = mongoose.model("Message", messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,258 @@
+const mongoose = require("mongoose");
+const ApiError = require("../utils/ApiError");
+const {
+  moveStatus,
+  activeMoveStatuses,
+  roles,
+} = require("../utils/Constant/enum");
+
+// Allowed next statuses for every move status, terminal statuses have none
+const moveTransitions = {
+  [moveStatus.REQUESTED]: [
+    moveStatus.DRIVER_ASSIGNED,
+    moveStatus.CANCELLED,
+    moveStatus.FAILED,
+  ],
+  [moveStatus.DRIVER_ASSIGNED]: [
+    moveStatus.DRIVER_ARRIVING,
+    moveStatus.REQUESTED,
+    moveStatus.CANCELLED,
+    moveStatus.FAILED,
+  ],
+  [moveStatus.DRIVER_ARRIVING]: [
+    moveStatus.LOADING,
+    moveStatus.CANCELLED,
+    moveStatus.FAILED,
+  ],
+  [moveStatus.LOADING]: [moveStatus.IN_TRANSIT, moveStatus.FAILED],
+  [moveStatus.IN_TRANSIT]: [moveStatus.DELIVERED, moveStatus.FAILED],
+  [moveStatus.DELIVERED]: [moveStatus.COMPLETED, moveStatus.FAILED],
+  [moveStatus.COMPLETED]: [],
+  [moveStatus.CANCELLED]: [],
+  [moveStatus.FAILED]: [],
+};
+
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const moveRequestSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+    pickup: {
+      address: String,
+      floor: {
+        type: Number,
+        default: 0,
+      },
+      hasElevator: {
+        type: Boolean,
+        default: false,
+      },
+      location: {
+        type: pointSchema,
+        required: [true, "Pickup location is required"],
+      },
+    },
+    dropoff: {
+      address: String,
+      floor: {
+        type: Number,
+        default: 0,
+      },
+      hasElevator: {
+        type: Boolean,
+        default: false,
+      },
+      location: {
+        type: pointSchema,
+        required: [true, "Dropoff location is required"],
+      },
+    },
+    // key of a vehicle class
+    vehicleType: {
+      type: String,
+      required: [true, "Vehicle type is required"],
+    },
+    // set for moves booked ahead, in UTC, with the customer's IANA timezone
+    scheduledFor: Date,
+    timezone: String,
+    // when drivers start receiving the offer
+    dispatchAt: Date,
+    // lease of the dispatch offering the move right now, renewed before every
+    // offer and reset to null when it ends; a stale one can be taken over
+    dispatchedAt: Date,
+    helpers: {
+      type: Number,
+      default: 0,
+    },
+    // price quoted at booking time from the vehicle type's pricing rule
+    fare: {
+      total: Number,
+      currency: String,
+      distanceKm: Number,
+      durationMin: Number,
+    },
+    inventory: [
+      {
+        _id: false,
+        // catalog key, unset for custom items
+        item: String,
+        name: String,
+        custom: Boolean,
+        quantity: {
+          type: Number,
+          min: 1,
+          default: 1,
+        },
+        // cm, custom items only
+        dimensions: {
+          length: Number,
+          width: Number,
+          height: Number,
+        },
+        // per unit, m³ and kg
+        volume: Number,
+        weight: Number,
+      },
+    ],
+    inventoryTotals: {
+      volume: Number,
+      weight: Number,
+    },
+    recommendedVehicleType: String,
+    itemsNotes: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(moveStatus),
+      default: moveStatus.REQUESTED,
+    },
+    cancellationReason: String,
+    // drivers the job was offered to by the matching service, in order
+    offers: [
+      {
+        _id: false,
+        driver: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "user",
+        },
+        result: {
+          type: String,
+          enum: ["accepted", "declined", "expired", "cancelled"],
+        },
+        offeredAt: {
+          type: Date,
+          default: Date.now,
+        },
+        respondedAt: Date,
+      },
+    ],
+    history: [
+      {
+        _id: false,
+        status: {
+          type: String,
+          enum: Object.values(moveStatus),
+        },
+        message: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "user",
+        },
+        // role of the user who triggered the change, "system" for automated ones
+        role: String,
+        time: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+moveRequestSchema.index({ customer: 1, createdAt: -1 });
+moveRequestSchema.index({ driver: 1, status: 1 });
+moveRequestSchema.index({ status: 1, dispatchAt: 1 });
+moveRequestSchema.index({ "pickup.location": "2dsphere" });
+
+moveRequestSchema.statics.transitions = moveTransitions;
+
+// Customers see their own moves, drivers the ones assigned to them
+moveRequestSchema.statics.accessFilter = function (user) {
+  if (user.role === roles.CUSTOMER) return { customer: user._id };
+  if (user.role === roles.DRIVER) return { driver: user._id };
+  return {};
+};
+
+moveRequestSchema.methods.canTransitionTo = function (status) {
+  return (moveTransitions[this.status] || []).includes(status);
+};
+
+// Move to the next status and record it in history, rejecting illegal jumps
+moveRequestSchema.methods.transitionTo = function (
+  status,
+  { by, role = "system", message } = {}
+) {
+  if (!this.canTransitionTo(status)) {
+    throw new ApiError(
+      `Move can't change status from ${this.status} to ${status}`,
+      409
+    );
+  }
+  if (
+    !this.driver &&
+    [...activeMoveStatuses, moveStatus.COMPLETED].includes(status)
+  ) {
+    throw new ApiError(`Move can't be ${status} without a driver`, 409);
+  }
+
+  this.status = status;
+  this.history.push({ status, message, by, role });
+  // back to requested, the driver is off the move and it has to be
+  // dispatched again
+  if (status === moveStatus.REQUESTED) {
+    this.history.push({
+      status,
+      message: `Driver ${this.driver} was removed from the move`,
+      role: "system",
+    });
+    this.driver = undefined;
+    this.dispatchedAt = null;
+  }
+  return this;
+};
+
+const MoveRequest = mongoose.model("MoveRequest", moveRequestSchema);
+
+module.exports = MoveRequest;
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { checklistItemKind } = require("../utils/Constant/enum");
+
+const checklistItemSchema = new mongoose.Schema(
+  {
+    // form field the driver submits the item under
+    key: {
+      type: String,
+      required: [true, "Item key is required"],
+    },
+    label: {
+      type: String,
+      required: [true, "Item label is required"],
+    },
+    kind: {
+      type: String,
+      enum: Object.values(checklistItemKind),
+      required: [true, "Item kind is required"],
+    },
+    required: {
+      type: Boolean,
+      default: true,
+    },
+    // file items only
+    allowedTypes: [String],
+    requiresExpiry: {
+      type: Boolean,
+      default: false,
+    },
+    // vehicle photos only
+    minFiles: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    maxFiles: {
+      type: Number,
+      min: 1,
+      default: 6,
+    },
+  },
+  { _id: false }
+);
+
+// Checklist of a market, the most specific one applies: country and vehicle
+// type, then country, then vehicle type, then the one with neither
+const onboardingChecklistSchema = new mongoose.Schema(
+  {
+    // ISO 3166-1 alpha-2, unset for every country
+    country: {
+      type: String,
+      uppercase: true,
+      default: null,
+    },
+    // key of a vehicle class, unset for every vehicle type
+    vehicleType: {
+      type: String,
+      default: null,
+    },
+    items: [checklistItemSchema],
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+onboardingChecklistSchema.index(
+  { country: 1, vehicleType: 1 },
+  { unique: true }
+);
+
+const OnboardingChecklist = mongoose.model(
+  "OnboardingChecklist",
+  onboardingChecklistSchema
+);
+
+module.exports = OnboardingChecklist;
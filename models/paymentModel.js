@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const { paymentStatus } = require("../utils/Constant/enum");
+
+const paymentSchema = new mongoose.Schema(
+  {
+    move: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MoveRequest",
+      unique: true,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    stripePaymentIntentId: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    // in the currency's smallest unit, as Stripe expects it
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(paymentStatus),
+      default: paymentStatus.PENDING,
+    },
+    failureMessage: String,
+    // set when the payment needs the team's attention, e.g. an authorization
+    // released while its move was already under way
+    followUp: {
+      reason: String,
+      flaggedAt: Date,
+    },
+    history: [
+      {
+        _id: false,
+        status: String,
+        // Stripe event id when the change came from the webhook
+        eventId: String,
+        time: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+paymentSchema.index(
+  { "followUp.flaggedAt": -1 },
+  { partialFilterExpression: { "followUp.flaggedAt": { $exists: true } } }
+);
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+module.exports = Payment;
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { payoutStatus } = require("../utils/Constant/enum");
+
+// Unpaid earnings of one driver and currency, grouped by a payout run
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      required: true,
+    },
+    // sum of the batch's entries
+    amount: {
+      type: Number,
+      required: true,
+    },
+    entriesCount: {
+      type: Number,
+      default: 0,
+    },
+    // entries created up to this date were included
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(payoutStatus),
+      default: payoutStatus.PENDING,
+    },
+    // bank transfer reference once paid
+    reference: String,
+    failureReason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+    history: [
+      {
+        _id: false,
+        status: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "user",
+        },
+        message: String,
+        time: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ driver: 1, createdAt: -1 });
+
+const PayoutBatch = mongoose.model("PayoutBatch", payoutBatchSchema);
+
+module.exports = PayoutBatch;
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    // key of a vehicle class
+    vehicleType: {
+      type: String,
+      unique: [true, "A pricing rule already exists for this vehicle type"],
+      required: [true, "Vehicle type is required"],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "EGP",
+    },
+    baseFare: {
+      type: Number,
+      min: 0,
+      required: [true, "Base fare is required"],
+    },
+    perKm: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    perMinute: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // charged per floor climbed at pickup/dropoff without an elevator
+    perFloor: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    perHelper: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    minimumFare: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // surcharge applied between nightStartHour and nightEndHour (local time)
+    nightMultiplier: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    nightStartHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 22,
+    },
+    nightEndHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 6,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+const PricingRule = mongoose.model("PricingRule", pricingRuleSchema);
+
+module.exports = PricingRule;
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const reviewSchema = new mongoose.Schema(
+  {
+    move: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MoveRequest",
+      required: true,
+    },
+    // who is being reviewed, the other party of the move wrote the review
+    target: {
+      type: String,
+      enum: ["driver", "customer"],
+      required: true,
+    },
+    // user accounts of the move's driver and customer
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    stars: {
+      type: Number,
+      min: [1, "Stars must be between 1 and 5"],
+      max: [5, "Stars must be between 1 and 5"],
+      required: [true, "Stars are required"],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Comment must be at most 1000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// one review per move in each direction
+reviewSchema.index({ move: 1, target: 1 }, { unique: true });
+reviewSchema.index({ driver: 1, createdAt: -1 });
+reviewSchema.index({ customer: 1, createdAt: -1 });
+
+const Review = mongoose.model("Review", reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const { securityEventType } = require("../utils/Constant/enum");
+
+// Suspicious account activity, kept for support and audits
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+    type: {
+      type: String,
+      enum: Object.values(securityEventType),
+      required: true,
+    },
+    ip: String,
+    userAgent: String,
+    details: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SecurityEvent", securityEventSchema);
@@ -38,6 +38,8 @@ const userSchema = new mongoose.Schema(
     passwordResetCode: String,
     passwordResetCodeExpire: Date,
     passwordResetCodeVerified: Boolean,
+    // wrong codes entered, the code stops working at the limit
+    passwordResetAttempts: Number,
     role: {
       type: String,
       required: true,
@@ -68,12 +70,31 @@ const userSchema = new mongoose.Schema(
         // },
       },
     },
+    // aggregate of the ratings drivers gave this customer
+    rating: {
+      average: {
+        type: Number,
+        default: 0,
+      },
+      count: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // last time one of the user's devices was connected to the socket server
+    lastSeen: Date,
     refreshTokens: {
       type: [
         {
           token: String,
+          // jti of the session's current refresh token, older ones are reuse
+          tokenId: String,
           expiresAt: Date,
           createdAt: { type: Date, default: Date.now },
+          // device the session was opened from, updated on each refresh
+          userAgent: String,
+          ip: String,
+          lastUsedAt: Date,
         },
       ],
       default: [],
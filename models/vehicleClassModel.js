@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const vehicleClassSchema = new mongoose.Schema(
+  {
+    // referenced as vehicleType by drivers, moves and pricing rules
+    key: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: [true, "A vehicle class already exists with this key"],
+      required: [true, "Vehicle class key is required"],
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: [true, "Vehicle class name is required"],
+    },
+    // load the vehicle can carry, m³ and kg
+    maxVolume: {
+      type: Number,
+      min: 0,
+      required: [true, "Max volume is required"],
+    },
+    maxWeight: {
+      type: Number,
+      min: 0,
+      required: [true, "Max weight is required"],
+    },
+    maxHelpers: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // whether moves needing stairs (a floor without an elevator) are accepted
+    allowsStairs: {
+      type: Boolean,
+      default: true,
+    },
+    // applied to the fare on top of the vehicle type's pricing rule
+    baseMultiplier: {
+      type: Number,
+      min: 0.1,
+      max: 10,
+      default: 1,
+    },
+    // inactive classes can't be booked or onboarded but stay on old records
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+const VehicleClass = mongoose.model("VehicleClass", vehicleClassSchema);
+
+module.exports = VehicleClass;
@@ -8,6 +8,8 @@ const {
   resendConfirmationValidator,
   resetPasswordValidator,
   verifyResetCodeValidator,
+  sessionIdValidator,
+  unlockTokenValidator,
 } = require("../Validation/authValidator");
 
 const {
@@ -21,9 +23,15 @@ const {
   loginByGoogle,
   resendConfirmationEmail,
   refreshToken,
+  unlockAccountPage,
+  unlockAccount,
   protect,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
 } = require("../controllers/authController");
 const { cloudUpload } = require("../utils/Cloudinary/cloudUpload");
+const { authLimiter } = require("../utils/Rate-Limiter/rate-limiter");
 
 const Router = express.Router();
 
@@ -33,15 +41,29 @@ Router.post(
   signupValidator,
   signup
 );
-Router.post("/login", loginValidator, login);
-Router.post("/forgetPassword", forgetPasswordValidator, forgetPassword);
+Router.post("/login", authLimiter, loginValidator, login);
+Router.post(
+  "/forgetPassword",
+  authLimiter,
+  forgetPasswordValidator,
+  forgetPassword
+);
 Router.post(
   "/verifyResetcode",
+  authLimiter,
   verifyResetCodeValidator,
   verifyPasswordResetCode
 );
-Router.put("/resetPassword", resetPasswordValidator, resetPassword);
+Router.put(
+  "/resetPassword",
+  authLimiter,
+  resetPasswordValidator,
+  resetPassword
+);
 Router.get("/confirm-email/:token", confirmEmail);
+Router.route("/unlock/:token")
+  .get(unlockTokenValidator, unlockAccountPage)
+  .post(authLimiter, unlockTokenValidator, unlockAccount);
 Router.post(
   "/resend-confirmation",
   resendConfirmationValidator,
@@ -53,5 +75,7 @@ Router.post("/google-login", googleLoginValidator, loginByGoogle);
 Router.use(protect);
 
 Router.get("/logout", logout);
+Router.route("/sessions").get(getSessions).delete(revokeOtherSessions);
+Router.delete("/sessions/:id", sessionIdValidator, revokeSession);
 
 module.exports = Router;
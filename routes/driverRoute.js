@@ -4,7 +4,16 @@ const router = express.Router();
 const {
   submitOnboarding,
   getOnboardingStatus,
+  getOnboardingChecklist,
+  resubmitDocuments,
   updateAvailability,
+  getMyShifts,
+  updateMyShifts,
+  addTimeOff,
+  removeTimeOff,
+  addVehicle,
+  removeVehicle,
+  updateVehicleStatus,
   getOnboardings,
   updateDriverStatus,
   deleteDriver,
@@ -15,19 +24,68 @@ const {
   allowedTo,
   enabledControls,
 } = require("../controllers/authController");
+const { getDriverReviews } = require("../controllers/reviewController");
+const {
+  getMyEarnings,
+  getMyPayouts,
+} = require("../controllers/earningController");
+const { getMyEarningsValidator } = require("../Validation/earningValidator");
+const { getDriverReviewsValidator } = require("../Validation/reviewValidator");
+const {
+  submitOnboardingValidator,
+  addVehicleValidator,
+  vehicleIdValidator,
+  updateVehicleStatusValidator,
+  updateDriverStatusValidator,
+  updateAvailabilityValidator,
+  resubmitDocumentsValidator,
+  getOnboardingChecklistValidator,
+  updateShiftsValidator,
+  addTimeOffValidator,
+  timeOffIdValidator,
+} = require("../Validation/driverValidator");
 const { cloudUpload } = require("../utils/Cloudinary/cloudUpload");
+const { documentTypes } = require("../utils/Constant/onboardingChecklist");
+
+// Files are sent under their onboarding checklist item's key, which the
+// controller checks against the driver's checklist
+const checklistUpload = cloudUpload({ allowType: documentTypes }).any();
+
+// Public routes
+router.get("/:id/reviews", getDriverReviewsValidator, getDriverReviews);
 
 router.use(protect);
 
+router.get(
+  "/me/earnings",
+  allowedTo("driver"),
+  getMyEarningsValidator,
+  getMyEarnings
+);
+router.get("/me/payouts", allowedTo("driver"), getMyPayouts);
+router
+  .route("/me/shifts")
+  .get(allowedTo("driver"), getMyShifts)
+  .put(allowedTo("driver"), updateShiftsValidator, updateMyShifts);
+router.post(
+  "/me/time-off",
+  allowedTo("driver"),
+  addTimeOffValidator,
+  addTimeOff
+);
+router.delete(
+  "/me/time-off/:timeOffId",
+  allowedTo("driver"),
+  timeOffIdValidator,
+  removeTimeOff
+);
+
 router
   .route("/onboarding")
   .post(
     allowedTo("driver"),
-    cloudUpload({}).fields([
-      { name: "id", maxCount: 1 },
-      { name: "carDrivingLicense", maxCount: 1 },
-      { name: "personalDrivingLicense", maxCount: 1 },
-    ]),
+    checklistUpload,
+    submitOnboardingValidator,
     submitOnboarding
   )
   .get(
@@ -37,11 +95,51 @@ router
   );
 
 router.get("/onboarding/status", allowedTo("driver"), getOnboardingStatus);
-router.put("/ToggleAvailability", allowedTo("driver"), updateAvailability);
+router.get(
+  "/onboarding/checklist",
+  allowedTo("driver"),
+  getOnboardingChecklistValidator,
+  getOnboardingChecklist
+);
+router.put(
+  "/onboarding/documents",
+  allowedTo("driver"),
+  checklistUpload,
+  resubmitDocumentsValidator,
+  resubmitDocuments
+);
+router.put(
+  "/ToggleAvailability",
+  allowedTo("driver"),
+  updateAvailabilityValidator,
+  updateAvailability
+);
+
+router.post(
+  "/vehicles",
+  allowedTo("driver"),
+  checklistUpload,
+  addVehicleValidator,
+  addVehicle
+);
+router.delete(
+  "/vehicles/:vehicleId",
+  allowedTo("driver"),
+  vehicleIdValidator,
+  removeVehicle
+);
+router.put(
+  "/onboarding/:id/vehicles/:vehicleId/status",
+  allowedTo("admin", "superAdmin"),
+  enabledControls("drivers"),
+  updateVehicleStatusValidator,
+  updateVehicleStatus
+);
 router.put(
   "/onboarding/:id/status",
   allowedTo("admin", "superAdmin"),
   enabledControls("drivers"),
+  updateDriverStatusValidator,
   updateDriverStatus
 );
 
@@ -1,12 +1,24 @@
 const authRoute = require("./authRoute");
 const usersRoute = require("./usersRoute");
 const driversRoute = require("./driverRoute");
+const movesRoute = require("./moveRoute");
+const pricingRulesRoute = require("./pricingRuleRoute");
+const paymentsRoute = require("./paymentRoute");
+const vehicleClassesRoute = require("./vehicleClassRoute");
+const onboardingChecklistsRoute = require("./onboardingChecklistRoute");
+const payoutsRoute = require("./payoutRoute");
 
 
 const mountRoutes = (app) => {
   app.use("/api/v1/auth", authRoute);
   app.use("/api/v1/users", usersRoute);
   app.use("/api/v1/drivers", driversRoute);
+  app.use("/api/v1/moves", movesRoute);
+  app.use("/api/v1/pricing-rules", pricingRulesRoute);
+  app.use("/api/v1/payments", paymentsRoute);
+  app.use("/api/v1/vehicle-classes", vehicleClassesRoute);
+  app.use("/api/v1/onboarding-checklists", onboardingChecklistsRoute);
+  app.use("/api/v1/payouts", payoutsRoute);
 };
 
 module.exports = mountRoutes
@@ -0,0 +1,79 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  estimateMoveValidator,
+  createMoveValidator,
+  moveIdValidator,
+  cancelMoveValidator,
+  updateMoveStatusValidator,
+  rescheduleMoveValidator,
+} = require("../Validation/moveValidator");
+
+const {
+  estimateMove,
+  createMove,
+  getMyMoves,
+  getMove,
+  cancelMove,
+  updateMoveStatus,
+  rescheduleMove,
+} = require("../controllers/moveController");
+const { getMoveMessages } = require("../controllers/messageController");
+const { createMoveReview } = require("../controllers/reviewController");
+const { createReviewValidator } = require("../Validation/reviewValidator");
+
+const { protect, allowedTo } = require("../controllers/authController");
+
+router.use(protect);
+
+router.post(
+  "/estimate",
+  allowedTo("customer"),
+  estimateMoveValidator,
+  estimateMove
+);
+
+router
+  .route("/")
+  .post(allowedTo("customer"), createMoveValidator, createMove)
+  .get(allowedTo("customer"), getMyMoves);
+
+router.get(
+  "/:id",
+  allowedTo("customer", "driver", "admin", "superAdmin"),
+  moveIdValidator,
+  getMove
+);
+router.put(
+  "/:id/cancel",
+  allowedTo("customer"),
+  cancelMoveValidator,
+  cancelMove
+);
+router.put(
+  "/:id/reschedule",
+  allowedTo("customer"),
+  rescheduleMoveValidator,
+  rescheduleMove
+);
+router.put(
+  "/:id/status",
+  allowedTo("customer", "driver", "admin", "superAdmin"),
+  updateMoveStatusValidator,
+  updateMoveStatus
+);
+router.get(
+  "/:id/messages",
+  allowedTo("customer", "driver", "admin", "superAdmin"),
+  moveIdValidator,
+  getMoveMessages
+);
+router.post(
+  "/:id/review",
+  allowedTo("customer", "driver"),
+  createReviewValidator,
+  createMoveReview
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  createOnboardingChecklistValidator,
+  updateOnboardingChecklistValidator,
+  onboardingChecklistIdValidator,
+} = require("../Validation/onboardingChecklistValidator");
+
+const {
+  getOnboardingChecklists,
+  createOnboardingChecklist,
+  updateOnboardingChecklist,
+  deleteOnboardingChecklist,
+} = require("../controllers/onboardingChecklistController");
+
+const {
+  protect,
+  allowedTo,
+  enabledControls,
+} = require("../controllers/authController");
+
+router.use(protect);
+router.use(allowedTo("superAdmin", "admin"));
+router.use(enabledControls("drivers"));
+
+router
+  .route("/")
+  .get(getOnboardingChecklists)
+  .post(createOnboardingChecklistValidator, createOnboardingChecklist);
+
+router
+  .route("/:id")
+  .put(updateOnboardingChecklistValidator, updateOnboardingChecklist)
+  .delete(onboardingChecklistIdValidator, deleteOnboardingChecklist);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+
+const { stripeWebhook } = require("../controllers/paymentController");
+
+router.post("/webhook", stripeWebhook);
+
+module.exports = router;
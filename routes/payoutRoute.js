@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  runPayoutsValidator,
+  getPayoutsValidator,
+  payoutIdValidator,
+  updatePayoutStatusValidator,
+  createEarningEntryValidator,
+} = require("../Validation/payoutValidator");
+
+const {
+  runPayouts,
+  getPayouts,
+  getPayout,
+  updatePayoutStatus,
+  createEarningEntry,
+} = require("../controllers/payoutController");
+
+const {
+  protect,
+  allowedTo,
+  enabledControls,
+} = require("../controllers/authController");
+
+router.use(protect);
+router.use(allowedTo("superAdmin", "admin"));
+router.use(enabledControls("payouts"));
+
+router.get("/", getPayoutsValidator, getPayouts);
+router.post("/run", runPayoutsValidator, runPayouts);
+router.post("/earnings", createEarningEntryValidator, createEarningEntry);
+
+router.get("/:id", payoutIdValidator, getPayout);
+router.put("/:id/status", updatePayoutStatusValidator, updatePayoutStatus);
+
+module.exports = router;
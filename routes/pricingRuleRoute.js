@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  createPricingRuleValidator,
+  updatePricingRuleValidator,
+  pricingRuleIdValidator,
+} = require("../Validation/pricingRuleValidator");
+
+const {
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+} = require("../controllers/pricingRuleController");
+
+const {
+  protect,
+  allowedTo,
+  enabledControls,
+} = require("../controllers/authController");
+
+router.use(protect);
+router.use(allowedTo("superAdmin", "admin"));
+router.use(enabledControls("pricing"));
+
+router
+  .route("/")
+  .get(getPricingRules)
+  .post(createPricingRuleValidator, createPricingRule);
+
+router
+  .route("/:id")
+  .put(updatePricingRuleValidator, updatePricingRule)
+  .delete(pricingRuleIdValidator, deletePricingRule);
+
+module.exports = router;
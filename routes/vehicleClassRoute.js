@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  createVehicleClassValidator,
+  updateVehicleClassValidator,
+  vehicleClassIdValidator,
+} = require("../Validation/vehicleClassValidator");
+
+const {
+  getVehicleClasses,
+  createVehicleClass,
+  updateVehicleClass,
+  deleteVehicleClass,
+} = require("../controllers/vehicleClassController");
+
+const {
+  protect,
+  allowedTo,
+  enabledControls,
+} = require("../controllers/authController");
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(getVehicleClasses)
+  .post(
+    allowedTo("superAdmin", "admin"),
+    enabledControls("vehicles"),
+    createVehicleClassValidator,
+    createVehicleClass
+  );
+
+router.use(allowedTo("superAdmin", "admin"));
+router.use(enabledControls("vehicles"));
+
+router
+  .route("/:id")
+  .put(updateVehicleClassValidator, updateVehicleClass)
+  .delete(vehicleClassIdValidator, deleteVehicleClass);
+
+module.exports = router;
@@ -10,19 +10,30 @@ const cookieParser = require("cookie-parser");
 const ApiError = require("./utils/ApiError");
 const globalError = require("./middlewares/errorMiddleware");
 const dbConnection = require("./config/database");
-// const { limiter } = require("./utils/Rate-Limiter/rate-limiter");
+const { startJobs } = require("./utils/Jobs");
+const { seedVehicleClasses } = require("./utils/Vehicles/vehicleClasses");
+const migrateDriverVehicles = require("./utils/Vehicles/migrateDriverVehicles");
+const { limiter } = require("./utils/Rate-Limiter/rate-limiter");
 const { default: helmet } = require("helmet");
 
 const socketConfig = require("./socketConfig");
 
-//rate limit 
-// app.use(limiter)
+// Behind a proxy (e.g. Render) set TRUST_PROXY_HOPS, so rate limits and
+// lockouts count per client IP. Without a proxy X-Forwarded-For is the
+// client's own and can't be trusted.
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS));
+}
+//rate limit
+app.use(limiter)
 //helmet
 app.use(helmet())
 // Routes
 const mountRoutes = require("./routes");
 
 // Middlewares
+// Stripe signs the raw payload, so the webhook must skip JSON parsing
+app.use("/api/v1/payments/webhook", express.raw({ type: "application/json" }));
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "uploads")));
@@ -64,6 +75,14 @@ if (process.env.NODE_ENV === "development") {
 
 // DB connecetion
 dbConnection();
+// Default vehicle classes on a fresh database
+seedVehicleClasses().catch((err) =>
+  console.error("Seeding vehicle classes failed:", err)
+);
+// Drivers onboarded before multiple vehicles were supported
+migrateDriverVehicles().catch((err) =>
+  console.error("Migrating driver vehicles failed:", err)
+);
 
 // Mount Routes
 mountRoutes(app)
@@ -86,6 +105,9 @@ const server = app.listen(process.env.PORT, () =>
 // Initialize Socket.IO
 socketConfig.initSocketServer(server);
 
+// Background jobs
+startJobs();
+
 // UnhandledRejections event handler (rejection outside express)
 process.on("unhandledRejection", (err) => {
   console.error(
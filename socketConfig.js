@@ -1,5 +1,69 @@
+const verifyAccessToken = require("./utils/verifyAccessToken");
+const { roles } = require("./utils/Constant/enum");
+
 let io;
-let users;
+// userId -> Map(socketId -> "online" | "away"), one entry per connected device
+let registry = new Map();
+
+const LOCATION_THROTTLE_MS =
+  Number(process.env.DRIVER_LOCATION_THROTTLE_MS) || 5000;
+
+const moveRoom = (moveId) => `move:${moveId}`;
+// every socket of a user joins its room, so emitting there reaches all devices
+const userRoom = (userId) => `user:${userId}`;
+
+const addSocket = (userId, socketId) => {
+  if (!registry.has(userId)) registry.set(userId, new Map());
+  registry.get(userId).set(socketId, "online");
+};
+
+const removeSocket = (userId, socketId) => {
+  const sockets = registry.get(userId);
+  if (!sockets) return;
+
+  sockets.delete(socketId);
+  if (!sockets.size) registry.delete(userId);
+};
+
+const setSocketPresence = (userId, socketId, status) => {
+  const sockets = registry.get(userId);
+  if (sockets?.has(socketId)) sockets.set(socketId, status);
+};
+
+// Online if any device is in the foreground, away if all are in background
+const getPresence = (userId) => {
+  const sockets = registry.get(String(userId));
+  if (!sockets) return "offline";
+  return [...sockets.values()].includes("online") ? "online" : "away";
+};
+
+const onlineUserIds = () => [...registry.keys()];
+
+// Handshake middleware, same checks as `protect`. The client sends its access
+// token as `auth: { token }` or in the Authorization header.
+const authenticateSocket = async (socket, next) => {
+  const { authorization } = socket.handshake.headers;
+  const accessToken =
+    socket.handshake.auth?.token ||
+    (authorization?.startsWith("Bearer") && authorization.split(" ")[1]);
+
+  if (!accessToken) {
+    return next(new Error("Please login first"));
+  }
+
+  try {
+    socket.data.user = await verifyAccessToken(accessToken);
+    next();
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return next(new Error("Expired token, Please login again"));
+    }
+    if (error.name === "JsonWebTokenError") {
+      return next(new Error("Invalid token, Please login again"));
+    }
+    next(new Error(error.isOperational ? error.message : "Unauthorized"));
+  }
+};
 
 function initSocketServer(server) {
   io = require("socket.io")(server, {
@@ -8,74 +72,298 @@ function initSocketServer(server) {
     },
   });
 
-  users = [];
+  registry = new Map();
+
+  // required here as the matching service itself emits through this module
+  const { respondToOffer } = require("./utils/Matching/driverMatching");
+  const {
+    updateDriverLocation,
+    canFollowMove,
+  } = require("./utils/Tracking/driverLocation");
+  const { isCoordinates } = require("./Validation/moveValidator");
+  const {
+    getContacts,
+    saveLastSeen,
+    getLastSeen,
+  } = require("./utils/Presence/presenceService");
+  const {
+    toPayload,
+    saveMoveMessage,
+    getCounterpart,
+    markDelivered,
+    markRead,
+    getQueuedMessages,
+  } = require("./utils/Chat/chatService");
 
-  const addUser = (userId, socketId) => {
-    !users.some((user) => user.userId === userId) &&
-      users.push({ userId, socketId });
+  // Deliver what the user missed while offline to the socket that just joined,
+  // they stay queued until the client acknowledges them with message:delivered
+  const deliverQueuedMessages = async (socket, userId) => {
+    const queued = await getQueuedMessages(userId);
+    queued.forEach((message) => socket.emit("getMessage", toPayload(message)));
   };
 
-  const removeUser = (socketId) => {
-    users = users.filter((user) => user.socketId !== socketId);
+  // Presence changes are only shared with the user's contacts
+  const handlePresenceChange = async (userId, previous) => {
+    const status = getPresence(userId);
+    if (status === previous) return;
+
+    const lastSeen = new Date();
+    await saveLastSeen(userId, lastSeen);
+
+    const contacts = await getContacts(userId);
+    contacts.forEach((contactId) =>
+      emitToUser(contactId, "presence", { userId, status, lastSeen })
+    );
   };
 
-  const getUser = (userId) => {
-    return users.find((user) => user.userId === userId);
+  // Send the connecting device the presence of the user's contacts
+  const sendContactsPresence = async (socket, userId) => {
+    const contacts = await getContacts(userId);
+    const lastSeen = await getLastSeen(contacts);
+
+    socket.emit(
+      "getUsers",
+      contacts.map((contactId) => ({
+        userId: contactId,
+        status: getPresence(contactId),
+        lastSeen: lastSeen[contactId],
+      }))
+    );
   };
 
+  const logPresenceError = (error) =>
+    console.error("Failed to update presence:", error);
+
+  // Tell each sender which of their messages were delivered/read
+  const notifySenders = (event, messages, at) => {
+    const groups = {};
+    messages.forEach((message) => {
+      const key = `${message.sender}:${message.move}`;
+      groups[key] = groups[key] || {
+        senderId: message.sender,
+        moveId: message.move,
+        messageIds: [],
+      };
+      groups[key].messageIds.push(message._id);
+    });
+
+    Object.values(groups).forEach(({ senderId, moveId, messageIds }) =>
+      emitToUser(senderId, event, { moveId, messageIds, at })
+    );
+  };
+
+  // Receipts target either explicit messageIds or every message of a move
+  const receiptFilter = ({ moveId, messageIds } = {}) => {
+    if (Array.isArray(messageIds)) return { _id: { $in: messageIds } };
+    if (moveId) return { move: moveId };
+    return null;
+  };
+
+  io.use(authenticateSocket);
+
   io.on("connection", (socket) => {
-    console.log("A user connected:", socket.id);
+    // the socket is bound to the authenticated user, never to a client given id
+    const userId = String(socket.data.user._id);
+    console.log("A user connected:", socket.id, userId);
+
+    const previous = getPresence(userId);
+    addSocket(userId, socket.id);
+    socket.join(userRoom(userId));
+
+    handlePresenceChange(userId, previous).catch(logPresenceError);
+    sendContactsPresence(socket, userId).catch(logPresenceError);
+    deliverQueuedMessages(socket, userId).catch((error) =>
+      console.error("Failed to deliver queued messages:", error)
+    );
+
+    // kept for older clients, the payload's userId is ignored
+    socket.on("addUser", () => {
+      sendContactsPresence(socket, userId).catch(logPresenceError);
+    });
 
-    socket.on("addUser", (userId) => {
-      addUser(userId, socket.id);
-      io.emit("getUsers", users);
-      console.log("users connected to socket", users);
+    // Client reports the app going to background ("away") or foreground
+    socket.on("presence:update", ({ status } = {}) => {
+      if (status !== "online" && status !== "away") return;
+
+      const previous = getPresence(userId);
+      setSocketPresence(userId, socket.id, status);
+      handlePresenceChange(userId, previous).catch(logPresenceError);
     });
 
-    socket.on("sendMessage", ({ senderId, receiverId, text }) => {
-      console.log("receiverId:", receiverId)
+    // Messages are stored first, then delivered or queued until the receiver
+    // connects again
+    socket.on("sendMessage", async ({ moveId, text } = {}, ack) => {
+      try {
+        const message = await saveMoveMessage({
+          moveId,
+          senderId: userId,
+          text,
+        });
 
-      const user = getUser(receiverId);
-      console.log("usrrrrr:", user)
-      console.log(user? true : false)
+        emitToUser(message.receiver, "getMessage", toPayload(message));
+        ack?.({ status: "success", data: toPayload(message) });
+      } catch (error) {
+        ack?.({
+          status: "fail",
+          message:
+            error.isOperational || error.name === "ValidationError"
+              ? error.message
+              : "Message not sent",
+        });
+      }
+    });
 
-      if (user) {
-      console.log("usrrrrr:", user)
-        io.to(user.socketId).emit("getMessage", {
-          senderId,
-          receiverId,
-          text
+    // Receiver's devices acknowledge getMessage, and later that it was seen
+    const handleReceipt = (event, acknowledge) => async (payload, ack) => {
+      const filter = receiptFilter(payload);
+      if (!filter) {
+        return ack?.({
+          status: "fail",
+          message: "moveId or messageIds required",
         });
-      } else {
-      console.log("usrrrrr:", "not connected to socket")
+      }
+
+      try {
+        const { messages, at } = await acknowledge(userId, filter);
+        notifySenders(event, messages, at);
+        ack?.({ status: "success", count: messages.length });
+      } catch (error) {
+        ack?.({ status: "fail", message: "Invalid message or move id" });
+      }
+    };
+
+    socket.on(
+      "message:delivered",
+      handleReceipt("message:delivered", markDelivered)
+    );
+    socket.on("message:read", handleReceipt("message:read", markRead));
 
+    // Relay typing state to the other party of the move
+    socket.on("typing", async ({ moveId, isTyping = true } = {}) => {
+      try {
+        const counterpart = await getCounterpart(moveId, userId);
+        if (!counterpart) return;
+
+        emitToUser(counterpart, "typing", {
+          moveId,
+          userId,
+          isTyping: Boolean(isTyping),
+        });
+      } catch (error) {
+        // invalid move id, nothing to relay
       }
+    });
+
+    // Driver's answer to a "move:offer" sent by the matching service
+    socket.on("move:accept", ({ moveId } = {}) => {
+      respondToOffer(moveId, userId, true);
+    });
 
+    socket.on("move:decline", ({ moveId } = {}) => {
+      respondToOffer(moveId, userId, false);
+    });
+
+    // Customer/driver subscribes to the live updates of one of their moves
+    socket.on("move:join", async ({ moveId } = {}, ack) => {
+      try {
+        if (!(await canFollowMove(moveId, userId))) {
+          return ack?.({ status: "fail", message: "Move not found" });
+        }
+        socket.join(moveRoom(moveId));
+        ack?.({ status: "success" });
+      } catch (error) {
+        ack?.({ status: "fail", message: "Invalid move id" });
+      }
+    });
+
+    socket.on("move:leave", ({ moveId } = {}) => {
+      socket.leave(moveRoom(moveId));
+    });
+
+    // Driver reports its position as [longitude, latitude]
+    socket.on("driver:location", async ({ coordinates } = {}, ack) => {
+      try {
+        isCoordinates(coordinates);
+      } catch (error) {
+        return ack?.({ status: "fail", message: error.message });
+      }
+
+      const now = Date.now();
+      if (now - (socket.data.lastLocationAt || 0) < LOCATION_THROTTLE_MS) {
+        return ack?.({ status: "throttled" });
+      }
+      socket.data.lastLocationAt = now;
+
+      try {
+        const point = coordinates.map(Number);
+        const { driver, move } = await updateDriverLocation(userId, point);
+        if (!driver) {
+          return ack?.({ status: "fail", message: "Driver profile not found" });
+        }
+
+        if (move) {
+          io.to(moveRoom(move._id)).emit("driver:location", {
+            moveId: move._id,
+            coordinates: point,
+            at: new Date(now),
+          });
+        }
+        ack?.({ status: "success" });
+      } catch (error) {
+        console.error("Failed to update driver location:", error);
+        ack?.({ status: "fail", message: "Failed to update location" });
+      }
     });
 
     socket.on("broadcast", (message) => {
+      const { role } = socket.data.user;
+      if (role !== roles.ADMIN && role !== roles.SUPER_ADMIN) return;
+
       // Broadcast the message to all connected clients except the sender
       socket.broadcast.emit("notification", message);
     });
 
     socket.on("disconnect", () => {
       console.log("A user disconnected:", socket.id);
-      removeUser(socket.id);
-      io.emit("getUsers", users);
+      const previous = getPresence(userId);
+      removeSocket(userId, socket.id);
+      handlePresenceChange(userId, previous).catch(logPresenceError);
     });
   });
 
   return io.listen(3005);
 }
 
+function isUserOnline(userId) {
+  return registry.has(String(userId));
+}
+
+// Emit to all devices of a user, returns false when the user is offline
+function emitToUser(userId, event, payload) {
+  if (!io || !isUserOnline(userId)) return false;
+
+  io.to(userRoom(userId)).emit(event, payload);
+  return true;
+}
+
+// Emit to everyone following a move's live updates
+function emitToMove(moveId, event, payload) {
+  if (!io) return;
+  io.to(moveRoom(moveId)).emit(event, payload);
+}
+
 function getIO() {
   if (!io) {
     throw new Error("Socket.IO is not initialized");
   }
-  return { io, users };
+  return { io, users: onlineUserIds() };
 }
 
 module.exports = {
   initSocketServer,
   getIO,
+  isUserOnline,
+  getPresence,
+  emitToUser,
+  emitToMove,
 };
@@ -0,0 +1,108 @@
+const ApiError = require("../ApiError");
+const MoveRequest = require("../../models/moveRequestModel");
+const Conversation = require("../../models/conversationModel");
+const Message = require("../../models/messageModel");
+
+// Shape sent to clients on "getMessage"
+const toPayload = (message) => ({
+  _id: message._id,
+  moveId: message.move,
+  senderId: message.sender,
+  receiverId: message.receiver,
+  text: message.text,
+  createdAt: message.createdAt,
+  deliveredAt: message.deliveredAt,
+  readAt: message.readAt,
+});
+
+/**
+ * Save a message between a move's customer and its assigned driver before it
+ * is delivered. The receiver is always the other party of the move.
+ */
+const saveMoveMessage = async ({ moveId, senderId, text }) => {
+  const move = await MoveRequest.findOne({
+    _id: moveId,
+    $or: [{ customer: senderId }, { driver: senderId }],
+  });
+  if (!move) {
+    throw new ApiError(`No move found for this id: ${moveId}`, 404);
+  }
+  if (!move.driver) {
+    throw new ApiError("No driver is assigned to this move yet", 409);
+  }
+
+  const receiverId = move.customer.equals(senderId)
+    ? move.driver
+    : move.customer;
+
+  const conversation = await Conversation.findOneAndUpdate(
+    { move: move._id },
+    {
+      $set: { lastMessageAt: Date.now() },
+      $addToSet: { participants: { $each: [move.customer, move.driver] } },
+    },
+    { new: true, upsert: true }
+  );
+
+  return Message.create({
+    conversation: conversation._id,
+    move: move._id,
+    sender: senderId,
+    receiver: receiverId,
+    text,
+  });
+};
+
+// The other party of a move's chat, null if the user isn't part of it
+const getCounterpart = async (moveId, userId) => {
+  const move = await MoveRequest.findOne({
+    _id: moveId,
+    $or: [{ customer: userId }, { driver: userId }],
+  }).select("customer driver");
+  if (!move || !move.driver) return null;
+
+  return move.customer.equals(userId) ? move.driver : move.customer;
+};
+
+/**
+ * Stamp the receiver's messages as delivered/read and return the affected
+ * messages so their senders can be notified. `filter` narrows the receiver's
+ * messages, e.g. { _id: { $in: ids } } or { move: moveId }.
+ */
+const acknowledgeMessages = async (receiverId, filter, field) => {
+  const query = { ...filter, receiver: receiverId, [field]: null };
+  const messages = await Message.find(query).select("_id move sender");
+  if (!messages.length) return { messages, at: null };
+
+  const at = new Date();
+  const update = { [field]: at };
+  // reading a message implies it was delivered
+  if (field === "readAt")
+    update.deliveredAt = { $ifNull: ["$deliveredAt", at] };
+
+  await Message.updateMany(
+    { _id: { $in: messages.map((message) => message._id) } },
+    [{ $set: update }]
+  );
+
+  return { messages, at };
+};
+
+const markDelivered = (receiverId, filter) =>
+  acknowledgeMessages(receiverId, filter, "deliveredAt");
+
+const markRead = (receiverId, filter) =>
+  acknowledgeMessages(receiverId, filter, "readAt");
+
+// Messages none of the user's devices acknowledged yet, re-sent on connect
+const getQueuedMessages = (userId) =>
+  Message.find({ receiver: userId, deliveredAt: null }).sort({ createdAt: 1 });
+
+module.exports = {
+  toPayload,
+  saveMoveMessage,
+  getCounterpart,
+  markDelivered,
+  markRead,
+  getQueuedMessages,
+};
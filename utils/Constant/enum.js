@@ -15,6 +15,9 @@ const providers = {
 };
 const enabledControls = {
   USERS: "users",
+  PRICING: "pricing",
+  VEHICLES: "vehicles",
+  PAYOUTS: "payouts",
 };
 
 const vehicleType = {
@@ -24,16 +27,94 @@ const vehicleType = {
   TRUCK: "truck",
 };
 
+// What a driver onboarding checklist item asks for
+const checklistItemKind = {
+  DOCUMENT: "document", // driver's own file, e.g. ID
+  VEHICLE_DOCUMENT: "vehicleDocument", // file of the vehicle, e.g. its license
+  VEHICLE_PHOTOS: "vehiclePhotos",
+  BANK_DETAILS: "bankDetails",
+  QUIZ_ACKNOWLEDGEMENT: "quizAcknowledgement",
+};
+
+const moveStatus = {
+  REQUESTED: "requested",
+  DRIVER_ASSIGNED: "driver_assigned",
+  DRIVER_ARRIVING: "driver_arriving",
+  LOADING: "loading",
+  IN_TRANSIT: "in_transit",
+  DELIVERED: "delivered",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+};
+
+// Statuses during which a driver is busy with a move
+const activeMoveStatuses = [
+  moveStatus.DRIVER_ASSIGNED,
+  moveStatus.DRIVER_ARRIVING,
+  moveStatus.LOADING,
+  moveStatus.IN_TRANSIT,
+  moveStatus.DELIVERED,
+];
+
+const paymentStatus = {
+  PENDING: "pending", // waiting for the customer to confirm the card
+  AUTHORIZED: "authorized",
+  CAPTURED: "captured",
+  CANCELED: "canceled",
+  FAILED: "failed",
+};
+
+// Entries of the driver earnings ledger, commissions are negative amounts
+const earningType = {
+  FARE_SHARE: "fare_share",
+  TIP: "tip",
+  ADJUSTMENT: "adjustment",
+  COMMISSION: "commission",
+};
+
+const payoutStatus = {
+  PENDING: "pending", // created, waiting for the bank transfer
+  PAID: "paid",
+  FAILED: "failed", // entries are released to the next payout run
+};
+
+const suspensionCause = {
+  DOCUMENT_EXPIRED: "document_expired", // lifted by replacing the document
+  ADMIN: "admin", // lifted by an admin only
+};
+
+const securityEventType = {
+  // a rotated refresh token was presented again, its session was revoked
+  REFRESH_TOKEN_REUSE: "refresh_token_reuse",
+};
+
 Object.freeze(roles);
 Object.freeze(accountStatus);
 Object.freeze(providers);
 Object.freeze(enabledControls);
 Object.freeze(vehicleType);
+Object.freeze(checklistItemKind);
+Object.freeze(moveStatus);
+Object.freeze(activeMoveStatuses);
+Object.freeze(paymentStatus);
+Object.freeze(earningType);
+Object.freeze(payoutStatus);
+Object.freeze(suspensionCause);
+Object.freeze(securityEventType);
 
 module.exports = {
   roles,
   accountStatus,
   providers,
   enabledControls,
-  vehicleType
+  vehicleType,
+  checklistItemKind,
+  moveStatus,
+  activeMoveStatuses,
+  paymentStatus,
+  earningType,
+  payoutStatus,
+  suspensionCause,
+  securityEventType,
 };
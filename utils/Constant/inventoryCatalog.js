@@ -0,0 +1,25 @@
+// Typical volume (m³) and weight (kg) of one unit of each catalog item
+const inventoryCatalog = {
+  box_small: { label: "Small box", volume: 0.03, weight: 8 },
+  box_medium: { label: "Medium box", volume: 0.06, weight: 15 },
+  box_large: { label: "Large box", volume: 0.1, weight: 20 },
+  armchair: { label: "Armchair", volume: 0.8, weight: 30 },
+  sofa_2_seater: { label: "2-seater sofa", volume: 1.4, weight: 45 },
+  sofa_3_seater: { label: "3-seater sofa", volume: 2, weight: 60 },
+  chair: { label: "Chair", volume: 0.2, weight: 5 },
+  dining_table: { label: "Dining table", volume: 1, weight: 40 },
+  desk: { label: "Desk", volume: 0.8, weight: 35 },
+  bed_single: { label: "Single bed", volume: 1.2, weight: 40 },
+  bed_double: { label: "Double bed", volume: 2, weight: 70 },
+  mattress: { label: "Mattress", volume: 0.6, weight: 25 },
+  wardrobe: { label: "Wardrobe", volume: 2, weight: 90 },
+  fridge: { label: "Fridge", volume: 0.9, weight: 80 },
+  washing_machine: { label: "Washing machine", volume: 0.4, weight: 70 },
+  tv: { label: "TV", volume: 0.2, weight: 15 },
+};
+
+Object.freeze(inventoryCatalog);
+
+module.exports = {
+  inventoryCatalog,
+};
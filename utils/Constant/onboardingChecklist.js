@@ -0,0 +1,39 @@
+const { checklistItemKind } = require("./enum");
+const { fileValidation } = require("../Cloudinary/fileValidation");
+
+const documentTypes = [...fileValidation.image, "application/pdf"];
+
+// Used for markets without a checklist of their own
+const defaultOnboardingChecklist = [
+  {
+    key: "id",
+    label: "National ID",
+    kind: checklistItemKind.DOCUMENT,
+    required: true,
+    allowedTypes: documentTypes,
+    requiresExpiry: true,
+  },
+  {
+    key: "personalDrivingLicense",
+    label: "Personal driving license",
+    kind: checklistItemKind.DOCUMENT,
+    required: true,
+    allowedTypes: documentTypes,
+    requiresExpiry: true,
+  },
+  {
+    key: "carDrivingLicense",
+    label: "Car driving license",
+    kind: checklistItemKind.VEHICLE_DOCUMENT,
+    required: true,
+    allowedTypes: documentTypes,
+    requiresExpiry: true,
+  },
+];
+
+Object.freeze(defaultOnboardingChecklist);
+
+module.exports = {
+  documentTypes,
+  defaultOnboardingChecklist,
+};
@@ -0,0 +1,48 @@
+const { vehicleType } = require("./enum");
+
+// Seeded into the vehicle class catalog on a fresh database, admins manage
+// the classes from there on
+const defaultVehicleClasses = [
+  {
+    key: vehicleType.BIKE,
+    name: "Bike",
+    maxVolume: 0.15,
+    maxWeight: 25,
+    maxHelpers: 0,
+    allowsStairs: true,
+    baseMultiplier: 1,
+  },
+  {
+    key: vehicleType.CAR,
+    name: "Car",
+    maxVolume: 1,
+    maxWeight: 300,
+    maxHelpers: 1,
+    allowsStairs: true,
+    baseMultiplier: 1,
+  },
+  {
+    key: vehicleType.VAN,
+    name: "Van",
+    maxVolume: 8,
+    maxWeight: 1200,
+    maxHelpers: 2,
+    allowsStairs: true,
+    baseMultiplier: 1,
+  },
+  {
+    key: vehicleType.TRUCK,
+    name: "Truck",
+    maxVolume: 30,
+    maxWeight: 5000,
+    maxHelpers: 4,
+    allowsStairs: true,
+    baseMultiplier: 1,
+  },
+];
+
+Object.freeze(defaultVehicleClasses);
+
+module.exports = {
+  defaultVehicleClasses,
+};
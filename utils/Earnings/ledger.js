@@ -0,0 +1,119 @@
+const Earning = require("../../models/earningModel");
+const { earningType } = require("../Constant/enum");
+
+const PLATFORM_COMMISSION_RATE =
+  Number(process.env.PLATFORM_COMMISSION_RATE) || 0.15;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isDuplicateKey = (error) =>
+  error.code === 11000 ||
+  (error.writeErrors?.length > 0 &&
+    error.writeErrors.every((writeError) => writeError.code === 11000));
+
+/**
+ * Write a completed move's fare share and the platform commission to its
+ * driver's ledger. Safe to call again for the same move, the ledger keeps a
+ * single entry of each, so the recordMissingEarnings job retries it.
+ */
+const recordMoveEarnings = async (move) => {
+  if (!move.driver) return;
+
+  const { total, currency } = move.fare;
+  const entry = { driver: move.driver, move: move._id, currency };
+
+  try {
+    await Earning.insertMany(
+      [
+        {
+          ...entry,
+          type: earningType.FARE_SHARE,
+          amount: total,
+          description: "Move fare",
+        },
+        {
+          ...entry,
+          type: earningType.COMMISSION,
+          amount: -round(total * PLATFORM_COMMISSION_RATE),
+          description: `Platform commission (${PLATFORM_COMMISSION_RATE * 100}%)`,
+        },
+      ],
+      { ordered: false }
+    );
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+  }
+};
+
+// "2026-10-01", "2026-W40" or "2026-10" buckets for the summary intervals
+const intervalFormats = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+/**
+ * Totals per currency of the ledger entries matching `match`, split by entry
+ * type, optionally per day, week or month.
+ */
+const summarizeEarnings = async (match, interval, timezone) => {
+  const groups = await Earning.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          currency: "$currency",
+          type: "$type",
+          ...(interval && {
+            period: {
+              $dateToString: {
+                format: intervalFormats[interval],
+                date: "$createdAt",
+                timezone,
+              },
+            },
+          }),
+        },
+        amount: { $sum: "$amount" },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.period": 1 } },
+  ]);
+
+  const summaries = new Map();
+  groups.forEach(({ _id, amount, count }) => {
+    const key = `${_id.period || ""}|${_id.currency}`;
+    if (!summaries.has(key)) {
+      summaries.set(key, {
+        ...(interval && { period: _id.period }),
+        currency: _id.currency,
+        fareShare: 0,
+        tips: 0,
+        adjustments: 0,
+        commission: 0,
+        net: 0,
+        moves: 0,
+      });
+    }
+
+    const summary = summaries.get(key);
+    const field = {
+      [earningType.FARE_SHARE]: "fareShare",
+      [earningType.TIP]: "tips",
+      [earningType.ADJUSTMENT]: "adjustments",
+      [earningType.COMMISSION]: "commission",
+    }[_id.type];
+    summary[field] = round(summary[field] + amount);
+    summary.net = round(summary.net + amount);
+    if (_id.type === earningType.FARE_SHARE) summary.moves += count;
+  });
+
+  return [...summaries.values()];
+};
+
+module.exports = {
+  PLATFORM_COMMISSION_RATE,
+  recordMoveEarnings,
+  summarizeEarnings,
+};
@@ -350,7 +350,190 @@ const forgetPasswordEmailHTML = (name, resetCode) => {
   `
 }
 
+// User or admin supplied text placed in an email
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+
+// Plain notice layout: a title and a few paragraphs addressed to the user
+const noticeEmailHtml = (title, name, paragraphs) => {
+  const body = paragraphs
+    .map(
+      (text) => `<p
+                          style="
+                            color: #455056;
+                            font-size: 17px;
+                            line-height: 24px;
+                            text-align: left;
+                          "
+                        >
+                          ${text}
+                        </p>`
+    )
+    .join("\n                        ");
+
+  return `<!DOCTYPE html>
+  <html lang="en-US">
+    <head>
+      <meta content="text/html; charset=utf-8" http-equiv="Content-Type" />
+      <title>${title}</title>
+      <meta name="description" content="${title}" />
+    </head>
+
+    <body
+      marginheight="0"
+      topmargin="0"
+      marginwidth="0"
+      style="margin: 0px; background-color: #f2f3f8"
+      leftmargin="0"
+    >
+      <!--100% body table-->
+      <table
+        cellspacing="0"
+        border="0"
+        cellpadding="0"
+        width="100%"
+        bgcolor="#f2f3f8"
+        style="
+          @import url(https://fonts.googleapis.com/css?family=Rubik:300,400,500,700|Open+Sans:300,400,600,700);
+          font-family: 'Open Sans', sans-serif;
+        "
+      >
+        <tr>
+          <td>
+            <table
+              style="background-color: #f2f3f8; max-width: 670px; margin: 0 auto"
+              width="100%"
+              border="0"
+              align="center"
+              cellpadding="0"
+              cellspacing="0"
+            >
+              <tr>
+                <td style="height: 80px">&nbsp;</td>
+              </tr>
+              <tr>
+                <td style="text-align: center">
+                  <img width="250" src=${img} title="logo" alt="logo" />
+                </td>
+              </tr>
+              <tr>
+                <td style="height: 20px">&nbsp;</td>
+              </tr>
+              <tr>
+                <td>
+                  <table
+                    width="95%"
+                    border="0"
+                    align="center"
+                    cellpadding="0"
+                    cellspacing="0"
+                    style="
+                      max-width: 670px;
+                      background: #fff;
+                      border-radius: 3px;
+                      text-align: center;
+                      box-shadow: 0 6px 18px 0 rgba(0, 0, 0, 0.06);
+                    "
+                  >
+                    <tr>
+                      <td style="height: 40px">&nbsp;</td>
+                    </tr>
+                    <tr>
+                      <td style="padding: 0 35px">
+                        <h1
+                          style="
+                            color: #1e1e2d;
+                            font-weight: 500;
+                            margin: 0;
+                            font-size: 30px;
+                            font-family: 'Rubik', sans-serif;
+                          "
+                        >
+                          ${title}
+                        </h1>
+                        <p
+                          style="
+                            color: #455056;
+                            font-size: 17px;
+                            line-height: 24px;
+                            text-align: left;
+                          "
+                        >
+                          Hello ${escapeHtml(name)},</p>
+                        ${body}
+                        <p
+                          style="
+                            color: #455056;
+                            font-size: 17px;
+                            line-height: 24px;
+                            text-align: left;
+                          "
+                        >
+                          Swift move Team.
+                        </p>
+                      </td>
+                    </tr>
+                    <tr>
+                      <td style="height: 40px">&nbsp;</td>
+                    </tr>
+                  </table>
+                </td>
+              </tr>
+              <tr>
+                <td style="height: 80px">&nbsp;</td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+      <!--/100% body table-->
+    </body>
+  </html>`;
+};
+
+const documentExpiryEmailHTML = (name, documentLabel, expiresAt, daysLeft) =>
+  noticeEmailHtml("Your document is about to expire", name, [
+    `Your ${documentLabel} expires on ${expiresAt.toDateString()}, in ${daysLeft} ${
+      daysLeft === 1 ? "day" : "days"
+    }.`,
+    "Please upload a renewed copy from the app before then, otherwise your account will be suspended until it is replaced.",
+  ]);
+
+const driverStatusMessages = {
+  accepted:
+    "Our team verified your profile and approved your request. You can now go available and start receiving moves.",
+  rejected:
+    "Our team could not approve your request. You can replace your documents from the app and we will review them again.",
+  suspended:
+    "Your account has been suspended, you won't receive moves until it is reinstated.",
+};
+
+const driverStatusEmailHTML = (name, status, reason) =>
+  noticeEmailHtml(`Your driver account is ${status}`, name, [
+    driverStatusMessages[status],
+    ...(reason ? [`Reason: ${escapeHtml(reason)}`] : []),
+  ]);
+
+const accountLockedEmailHTML = (name, minutes, unlockToken) =>
+  noticeEmailHtml("Your account was locked", name, [
+    `We locked your account for ${minutes} minutes after several failed login attempts.`,
+    `If it was you, you can <a target="_blank" href="${process.env.BASE_URL}/api/v1/auth/unlock/${unlockToken}">unlock it now</a>. If it wasn't, consider resetting your password.`,
+  ]);
+
 module.exports = {
   confirmEmailHtml,
-  forgetPasswordEmailHTML
+  forgetPasswordEmailHTML,
+  documentExpiryEmailHTML,
+  driverStatusEmailHTML,
+  accountLockedEmailHTML,
 };
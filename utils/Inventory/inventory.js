@@ -0,0 +1,61 @@
+const ApiError = require("../ApiError");
+const { inventoryCatalog } = require("../Constant/inventoryCatalog");
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Catalog items take their size from the catalog, custom items from their
+// dimensions (cm) and weight (kg)
+const toInventoryItem = ({ item, name, quantity = 1, dimensions, weight }) => {
+  if (item) {
+    if (!Object.hasOwn(inventoryCatalog, item)) {
+      throw new ApiError(`Unknown inventory item: ${item}`, 400);
+    }
+    const catalogItem = inventoryCatalog[item];
+    return {
+      item,
+      name: catalogItem.label,
+      quantity: Number(quantity),
+      volume: catalogItem.volume,
+      weight: catalogItem.weight,
+    };
+  }
+
+  const { length, width, height } = dimensions;
+  return {
+    name,
+    custom: true,
+    quantity: Number(quantity),
+    dimensions: {
+      length: Number(length),
+      width: Number(width),
+      height: Number(height),
+    },
+    volume: round((length * width * height) / 1000000),
+    weight: Number(weight),
+  };
+};
+
+/**
+ * Normalize the submitted items and compute the total volume (m³) and
+ * weight (kg) of the whole inventory.
+ */
+const buildInventory = (items = []) => {
+  const inventory = items.map(toInventoryItem);
+
+  const totals = inventory.reduce(
+    (sum, { volume, weight, quantity }) => ({
+      volume: sum.volume + volume * quantity,
+      weight: sum.weight + weight * quantity,
+    }),
+    { volume: 0, weight: 0 }
+  );
+
+  return {
+    inventory,
+    totals: { volume: round(totals.volume), weight: round(totals.weight) },
+  };
+};
+
+module.exports = {
+  buildInventory,
+};
@@ -0,0 +1,125 @@
+const Driver = require("../../models/driverModel");
+const sendEmail = require("../Email/sendEmails");
+const { documentExpiryEmailHTML } = require("../Email/emailHtml");
+const { notifyDriverStatus } = require("../Notifications/driverStatus");
+const { suspensionCause } = require("../Constant/enum");
+
+const DAY = 24 * 60 * 60 * 1000;
+// days before expiry a reminder is emailed, largest first
+const REMINDER_DAYS = [30, 7, 1];
+
+// Documents uploaded before checklist labels were stored
+const documentLabels = {
+  id: "ID",
+  personalDrivingLicense: "personal driving license",
+  carDrivingLicense: "car driving license",
+};
+
+const labelOf = (docType, document) =>
+  document.label || documentLabels[docType] || docType;
+
+// The driver's own documents and the documents of each approved vehicle
+const trackedDocuments = (driver) => [
+  ...[...driver.documents.entries()].map(([docType, document]) => ({
+    docType,
+    document,
+  })),
+  ...driver.vehicles
+    .filter((vehicle) => vehicle.status === "accepted")
+    .flatMap((vehicle) =>
+      [...vehicle.documents.entries()].map(([docType, document]) => ({
+        docType,
+        document,
+        vehicle,
+      }))
+    ),
+];
+
+const sendReminder = async (driver, label, document, daysLeft, bucket) => {
+  if (!driver.driver_info) return;
+
+  const { name, email } = driver.driver_info;
+  try {
+    await sendEmail({
+      email,
+      subject: `${name}, your ${label} expires soon`,
+      message: documentExpiryEmailHTML(
+        name,
+        label,
+        document.expiresAt,
+        daysLeft
+      ),
+    });
+    document.reminderDays = bucket;
+  } catch (error) {
+    // reminderDays stays as is, so the next run retries
+    console.error(`Document reminder to driver ${driver._id} failed:`, error);
+  }
+};
+
+/**
+ * An expired document of the driver or of the vehicle they work with
+ * suspends the driver, an expired license of another vehicle only takes that
+ * vehicle out of service.
+ */
+const handleLapse = (driver, label, vehicle) => {
+  const isActiveVehicle = vehicle && vehicle._id.equals(driver.activeVehicle);
+
+  if (vehicle && !isActiveVehicle) {
+    vehicle.status = "rejected";
+    vehicle.rejectionReason = `Expired ${label}`;
+    driver.history.push({
+      message: `Your ${vehicle.type}: ${vehicle.licensePlate} was taken out of service due to an expired ${label}`,
+    });
+    return;
+  }
+
+  driver.status = "suspended";
+  driver.suspensionCause = suspensionCause.DOCUMENT_EXPIRED;
+  driver.isAvailable = false;
+  driver.history.push({
+    message: `Account status changed to suspended. Due to an expired ${label}`,
+  });
+};
+
+// Daily: remind drivers of documents expiring within 30/7/1 days and suspend
+// the ones whose required documents have lapsed
+const checkDocumentExpiry = async () => {
+  const now = Date.now();
+  const horizon = new Date(now + REMINDER_DAYS[0] * DAY);
+
+  const drivers = await Driver.find({
+    status: "accepted",
+    nextDocumentExpiry: { $lte: horizon },
+  }).populate("driver_info", "name email");
+
+  for (const driver of drivers) {
+    for (const { docType, document, vehicle } of trackedDocuments(driver)) {
+      if (!document?.expiresAt || driver.status !== "accepted") continue;
+
+      const daysLeft = Math.ceil((document.expiresAt - now) / DAY);
+      // closest reminder not passed yet, e.g. 7 when 5 days are left
+      const bucket = REMINDER_DAYS.filter((days) => daysLeft <= days).pop();
+
+      const label = labelOf(docType, document);
+      if (daysLeft <= 0) {
+        handleLapse(driver, label, vehicle);
+      } else if (bucket && !(document.reminderDays <= bucket)) {
+        await sendReminder(driver, label, document, daysLeft, bucket);
+      }
+    }
+
+    const suspended = driver.isModified("status");
+    await driver.save();
+
+    if (suspended && driver.driver_info) {
+      await notifyDriverStatus(
+        driver.driver_info,
+        driver.status,
+        "A required document has expired"
+      );
+    }
+  }
+};
+
+module.exports = checkDocumentExpiry;
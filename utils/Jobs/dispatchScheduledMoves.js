@@ -0,0 +1,31 @@
+const MoveRequest = require("../../models/moveRequestModel");
+const Payment = require("../../models/paymentModel");
+const { dispatchMove, unclaimedFilter } = require("../Matching/driverMatching");
+const { moveStatus, paymentStatus } = require("../Constant/enum");
+
+// Start dispatching requested moves whose payment is already authorized:
+// scheduled moves once their dispatch time has come, and moves sent back to
+// requested or left behind by a dispatch that didn't finish
+const dispatchScheduledMoves = async () => {
+  const dueMoves = await MoveRequest.find({
+    status: moveStatus.REQUESTED,
+    $and: [
+      { $or: [{ dispatchAt: null }, { dispatchAt: { $lte: new Date() } }] },
+      unclaimedFilter(),
+    ],
+  }).select("_id");
+  if (!dueMoves.length) return;
+
+  const paidMoves = await Payment.find({
+    move: { $in: dueMoves.map((move) => move._id) },
+    status: paymentStatus.AUTHORIZED,
+  }).select("move");
+
+  paidMoves.forEach(({ move }) =>
+    dispatchMove(move).catch((err) =>
+      console.error(`Dispatching move ${move} failed:`, err)
+    )
+  );
+};
+
+module.exports = dispatchScheduledMoves;
@@ -0,0 +1,25 @@
+const runEvery = require("./runEvery");
+const dispatchScheduledMoves = require("./dispatchScheduledMoves");
+const checkDocumentExpiry = require("./checkDocumentExpiry");
+const syncShiftAvailability = require("./syncShiftAvailability");
+const releaseDisconnectedDrivers = require("./releaseDisconnectedDrivers");
+const recordMissingEarnings = require("./recordMissingEarnings");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Background jobs, started once the server is up
+const startJobs = () => {
+  runEvery("dispatchScheduledMoves", MINUTE, dispatchScheduledMoves);
+  runEvery("syncShiftAvailability", MINUTE, syncShiftAvailability);
+  runEvery("releaseDisconnectedDrivers", MINUTE, releaseDisconnectedDrivers);
+  runEvery("recordMissingEarnings", 15 * MINUTE, recordMissingEarnings);
+  // also on start, so restarts don't keep pushing the daily run back
+  runEvery("checkDocumentExpiry", DAY, checkDocumentExpiry, {
+    immediate: true,
+  });
+};
+
+module.exports = {
+  startJobs,
+};
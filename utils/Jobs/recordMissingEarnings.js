@@ -0,0 +1,46 @@
+const MoveRequest = require("../../models/moveRequestModel");
+const Earning = require("../../models/earningModel");
+const { recordMoveEarnings } = require("../Earnings/ledger");
+const { moveStatus, earningType } = require("../Constant/enum");
+
+const DAY = 24 * 60 * 60 * 1000;
+// completed moves older than this are settled, they aren't looked at again
+const LOOKBACK_DAYS = 7;
+
+// Record the earnings of completed moves the status update failed to write
+// to the ledger
+const recordMissingEarnings = async () => {
+  const moves = await MoveRequest.aggregate([
+    {
+      $match: {
+        status: moveStatus.COMPLETED,
+        driver: { $ne: null },
+        updatedAt: { $gte: new Date(Date.now() - LOOKBACK_DAYS * DAY) },
+      },
+    },
+    {
+      $lookup: {
+        from: Earning.collection.name,
+        let: { moveId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$move", "$$moveId"] },
+              type: { $in: [earningType.FARE_SHARE, earningType.COMMISSION] },
+            },
+          },
+        ],
+        as: "recorded",
+      },
+    },
+    // both entries are written together, one alone means the other failed
+    { $match: { "recorded.1": { $exists: false } } },
+    { $project: { driver: 1, fare: 1 } },
+  ]);
+
+  for (const move of moves) {
+    await recordMoveEarnings(move);
+  }
+};
+
+module.exports = recordMissingEarnings;
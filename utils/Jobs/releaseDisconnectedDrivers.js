@@ -0,0 +1,58 @@
+const Driver = require("../../models/driverModel");
+const usersModel = require("../../models/userModel");
+const { emitToUser, isUserOnline } = require("../../socketConfig");
+const { roles } = require("../Constant/enum");
+
+const DISCONNECT_TIMEOUT_MINUTES =
+  Number(process.env.DRIVER_DISCONNECT_TIMEOUT_MINUTES) || 10;
+const DISCONNECT_TIMEOUT = DISCONNECT_TIMEOUT_MINUTES * 60 * 1000;
+
+// The socket registry is empty after a restart, apps get a full timeout to
+// reconnect before anyone counts as disconnected
+const startedAt = Date.now();
+
+// Available drivers whose app has been disconnected for too long can't answer
+// offers anymore, take them offline
+const releaseDisconnectedDrivers = async () => {
+  if (Date.now() - startedAt < DISCONNECT_TIMEOUT) return;
+
+  const cutoff = new Date(Date.now() - DISCONNECT_TIMEOUT);
+
+  const availableDrivers = await Driver.find({ isAvailable: true }).select(
+    "driver_info"
+  );
+  const offline = availableDrivers
+    .map((driver) => driver.driver_info)
+    .filter((userId) => !isUserOnline(userId));
+  if (!offline.length) return;
+
+  const disconnected = await usersModel.distinct("_id", {
+    _id: { $in: offline },
+    role: roles.DRIVER,
+    // never connected at all counts as disconnected
+    $or: [{ lastSeen: null }, { lastSeen: { $lte: cutoff } }],
+  });
+  if (!disconnected.length) return;
+
+  await Driver.updateMany(
+    { driver_info: { $in: disconnected }, isAvailable: true },
+    {
+      $set: { isAvailable: false },
+      $push: {
+        history: {
+          message: `Went unavailable after being disconnected for ${DISCONNECT_TIMEOUT_MINUTES} minutes`,
+        },
+      },
+    }
+  );
+
+  // same event as the shift scheduler, for apps that reconnected meanwhile
+  disconnected.forEach((userId) =>
+    emitToUser(userId, "driver:availability", {
+      isAvailable: false,
+      reason: "disconnected",
+    })
+  );
+};
+
+module.exports = releaseDisconnectedDrivers;
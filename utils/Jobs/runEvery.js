@@ -0,0 +1,25 @@
+/**
+ * Run an async job on a fixed interval, skipping a tick while the previous
+ * run is still going so slow runs never overlap. `immediate` also runs it
+ * right away instead of waiting for the first interval.
+ */
+const runEvery = (name, intervalMs, job, { immediate = false } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  if (immediate) tick();
+  return setInterval(tick, intervalMs);
+};
+
+module.exports = runEvery;
@@ -0,0 +1,38 @@
+const Driver = require("../../models/driverModel");
+const { emitToUser } = require("../../socketConfig");
+const { isOnShift } = require("../Shifts/shiftSchedule");
+
+/**
+ * Flip drivers with auto-availability on and off when a shift starts or ends.
+ * Only boundaries change availability, so a driver can still go offline
+ * early or stay on a bit longer by hand.
+ */
+const syncShiftAvailability = async () => {
+  const now = new Date();
+  const drivers = await Driver.find({
+    autoAvailability: true,
+    status: "accepted",
+  });
+
+  for (const driver of drivers) {
+    const onShift = isOnShift(driver, now);
+    if (onShift === driver.onShift) continue;
+
+    driver.onShift = onShift;
+    // going available needs an approved vehicle picked before
+    const activeVehicle = driver.vehicles.id(driver.activeVehicle);
+    const canWork = activeVehicle?.status === "accepted";
+    const isAvailable = onShift && canWork;
+
+    if (driver.isAvailable !== isAvailable) {
+      driver.isAvailable = isAvailable;
+      emitToUser(driver.driver_info, "driver:availability", {
+        isAvailable,
+        reason: onShift ? "shift_started" : "shift_ended",
+      });
+    }
+    await driver.save();
+  }
+};
+
+module.exports = syncShiftAvailability;
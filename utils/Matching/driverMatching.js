@@ -0,0 +1,227 @@
+const Driver = require("../../models/driverModel");
+const MoveRequest = require("../../models/moveRequestModel");
+const { emitToUser, isUserOnline } = require("../../socketConfig");
+const { moveStatus, activeMoveStatuses, roles } = require("../Constant/enum");
+
+const MATCHING_RADIUS_METERS =
+  Number(process.env.MATCHING_RADIUS_METERS) || 10000;
+const OFFER_TIMEOUT_MS = Number(process.env.MATCHING_OFFER_TIMEOUT_MS) || 30000;
+// A dispatch renews its claim on the move before every offer. A claim older
+// than this was left by a process that died mid-offer and can be taken over.
+const DISPATCH_LEASE_MS = 2 * OFFER_TIMEOUT_MS;
+
+// moveId -> offer currently waiting for a driver's answer
+const pendingOffers = new Map();
+
+const settleOffer = (moveId, result) => {
+  const offer = pendingOffers.get(String(moveId));
+  if (!offer) return false;
+
+  clearTimeout(offer.timer);
+  pendingOffers.delete(String(moveId));
+  offer.resolve(result);
+  return true;
+};
+
+// Nearest accepted & available driver whose active vehicle is of the requested
+// type, who is not busy with another move and was not offered this move before
+const findNearestDriver = async (move, excludedDrivers) => {
+  const busyDrivers = await MoveRequest.distinct("driver", {
+    status: { $in: activeMoveStatuses },
+  });
+
+  return Driver.findOne({
+    status: "accepted",
+    isAvailable: true,
+    activeVehicleType: move.vehicleType,
+    driver_info: { $nin: [...busyDrivers, ...excludedDrivers] },
+    currentLocation: {
+      $near: {
+        $geometry: {
+          type: "Point",
+          coordinates: move.pickup.location.coordinates,
+        },
+        $maxDistance: MATCHING_RADIUS_METERS,
+      },
+    },
+  });
+};
+
+// Send the offer to the driver and wait for accept, decline or expiry
+const offerMove = (move, driverId) =>
+  new Promise((resolve) => {
+    const moveId = String(move._id);
+    const expiresAt = new Date(Date.now() + OFFER_TIMEOUT_MS);
+
+    const timer = setTimeout(
+      () => settleOffer(moveId, "expired"),
+      OFFER_TIMEOUT_MS
+    );
+    pendingOffers.set(moveId, { driverId: String(driverId), timer, resolve });
+
+    emitToUser(driverId, "move:offer", {
+      moveId,
+      pickup: move.pickup,
+      dropoff: move.dropoff,
+      vehicleType: move.vehicleType,
+      itemsNotes: move.itemsNotes,
+      expiresAt,
+    });
+  });
+
+const recordOfferResult = (moveId, driverId, offeredAt, result) =>
+  MoveRequest.updateOne(
+    { _id: moveId },
+    {
+      $push: {
+        offers: {
+          driver: driverId,
+          result,
+          offeredAt,
+          respondedAt: Date.now(),
+        },
+      },
+    }
+  );
+
+const assignDriver = async (moveId, driverId) => {
+  const move = await MoveRequest.findById(moveId);
+  if (!move || move.status !== moveStatus.REQUESTED) return null;
+
+  move.driver = driverId;
+  move.transitionTo(moveStatus.DRIVER_ASSIGNED, {
+    by: driverId,
+    role: roles.DRIVER,
+    message: "Driver accepted the move",
+  });
+  await move.save();
+
+  emitToUser(move.customer, "move:assigned", { moveId, driverId });
+  emitToUser(driverId, "move:assigned", { moveId, driverId });
+  return move;
+};
+
+/**
+ * No driver took the move. A scheduled move stays requested until its slot
+ * starts, the scheduler dispatches it again meanwhile. Any other move fails
+ * and the customer's authorization is released.
+ */
+const failMove = async (moveId) => {
+  const move = await MoveRequest.findById(moveId);
+  if (!move || move.status !== moveStatus.REQUESTED) return;
+  if (move.scheduledFor > Date.now()) return;
+
+  move.transitionTo(moveStatus.FAILED, {
+    message: "No available driver accepted the move",
+  });
+  await move.save();
+
+  // required here, the payments module dispatches moves itself
+  const { releasePaymentForMove } = require("../Stripe/payments");
+  releasePaymentForMove(move._id);
+
+  emitToUser(move.customer, "move:unmatched", { moveId });
+};
+
+// Moves no dispatch is working on
+const unclaimedFilter = () => ({
+  $or: [
+    { dispatchedAt: null },
+    { dispatchedAt: { $lt: new Date(Date.now() - DISPATCH_LEASE_MS) } },
+  ],
+});
+
+// Drivers who turned the move down before aren't asked again when a
+// scheduled move is dispatched again
+const declinedDrivers = async (moveId) => {
+  const move = await MoveRequest.findById(moveId).select("offers");
+  return (move?.offers || [])
+    .filter((offer) => offer.result === "declined")
+    .map((offer) => offer.driver);
+};
+
+const offerToDrivers = async (moveId, renewClaim) => {
+  const offeredDrivers = await declinedDrivers(moveId);
+
+  for (;;) {
+    const move = await MoveRequest.findById(moveId);
+    if (!move || move.status !== moveStatus.REQUESTED) return;
+    // another dispatch took the move over, it is the one offering it now
+    if (!(await renewClaim())) return;
+
+    const driver = await findNearestDriver(move, offeredDrivers);
+    if (!driver) return failMove(moveId);
+
+    const driverId = driver.driver_info;
+    offeredDrivers.push(driverId);
+
+    // Drivers who aren't connected can't receive the offer
+    if (!isUserOnline(driverId)) continue;
+
+    const offeredAt = new Date();
+    const result = await offerMove(move, driverId);
+    await recordOfferResult(moveId, driverId, offeredAt, result);
+
+    if (result === "cancelled") return;
+    if (result === "accepted") {
+      const assigned = await assignDriver(moveId, driverId);
+      if (assigned) return;
+    }
+  }
+};
+
+/**
+ * Offer a requested move to nearby drivers one at a time, nearest first,
+ * until one accepts or no candidates are left.
+ */
+const dispatchMove = async (moveId) => {
+  // Claim the move so the payment webhook and the scheduler can't both
+  // dispatch it
+  let claimedAt = new Date();
+  const claimed = await MoveRequest.updateOne(
+    { _id: moveId, status: moveStatus.REQUESTED, ...unclaimedFilter() },
+    { dispatchedAt: claimedAt }
+  );
+  if (!claimed.modifiedCount) return;
+
+  // false once the lease was lost
+  const renewClaim = async () => {
+    const renewedAt = new Date();
+    const renewed = await MoveRequest.updateOne(
+      { _id: moveId, dispatchedAt: claimedAt },
+      { dispatchedAt: renewedAt }
+    );
+    if (!renewed.matchedCount) return false;
+
+    claimedAt = renewedAt;
+    return true;
+  };
+
+  try {
+    await offerToDrivers(moveId, renewClaim);
+  } finally {
+    // a move still requested afterwards can be dispatched again
+    await MoveRequest.updateOne(
+      { _id: moveId, dispatchedAt: claimedAt },
+      { dispatchedAt: null }
+    );
+  }
+};
+
+// Driver answered the offer, ignored unless it's the driver being offered
+const respondToOffer = (moveId, driverId, accepted) => {
+  const offer = pendingOffers.get(String(moveId));
+  if (!offer || offer.driverId !== String(driverId)) return false;
+
+  return settleOffer(moveId, accepted ? "accepted" : "declined");
+};
+
+// Stop dispatching a move that was cancelled in the meantime
+const cancelOffer = (moveId) => settleOffer(moveId, "cancelled");
+
+module.exports = {
+  unclaimedFilter,
+  dispatchMove,
+  respondToOffer,
+  cancelOffer,
+};
@@ -0,0 +1,27 @@
+const sendEmail = require("../Email/sendEmails");
+const { driverStatusEmailHTML } = require("../Email/emailHtml");
+const { emitToUser } = require("../../socketConfig");
+
+/**
+ * Tell a driver their onboarding status changed, in-app with a
+ * "driver:status" event and by email. `user` is the driver's populated
+ * driver_info. Email failures are only logged, the change is already saved.
+ */
+const notifyDriverStatus = async (user, status, reason) => {
+  emitToUser(user._id, "driver:status", { status, reason });
+
+  const name = user.name.split(" ")[0];
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: `${name}, your driver account is now ${status}`,
+      message: driverStatusEmailHTML(name, status, reason),
+    });
+  } catch (error) {
+    console.error(`Driver status email to ${user._id} failed:`, error);
+  }
+};
+
+module.exports = {
+  notifyDriverStatus,
+};
@@ -0,0 +1,199 @@
+const ApiError = require("../ApiError");
+const OnboardingChecklist = require("../../models/onboardingChecklistModel");
+const { cloudinary } = require("../Cloudinary/cloud");
+const { checklistItemKind } = require("../Constant/enum");
+const {
+  defaultOnboardingChecklist,
+} = require("../Constant/onboardingChecklist");
+
+const fileKinds = [
+  checklistItemKind.DOCUMENT,
+  checklistItemKind.VEHICLE_DOCUMENT,
+  checklistItemKind.VEHICLE_PHOTOS,
+];
+const vehicleKinds = [
+  checklistItemKind.VEHICLE_DOCUMENT,
+  checklistItemKind.VEHICLE_PHOTOS,
+];
+
+// Checklist items of a market, the most specific checklist wins
+const getChecklist = async (country, vehicleType) => {
+  const checklists = await OnboardingChecklist.find({
+    country: { $in: [country ? country.toUpperCase() : null, null] },
+    vehicleType: { $in: [vehicleType || null, null] },
+  });
+
+  const specificity = (checklist) =>
+    (checklist.country ? 2 : 0) + (checklist.vehicleType ? 1 : 0);
+  const [best] = checklists.sort((a, b) => specificity(b) - specificity(a));
+
+  return best ? best.items : defaultOnboardingChecklist;
+};
+
+const isItemComplete = (item, driver, vehicle) => {
+  switch (item.kind) {
+    case checklistItemKind.DOCUMENT:
+      return Boolean(driver.documents?.get(item.key)?.url);
+    case checklistItemKind.VEHICLE_DOCUMENT:
+      return Boolean(vehicle?.documents?.get(item.key)?.url);
+    case checklistItemKind.VEHICLE_PHOTOS:
+      return (vehicle?.photos?.length || 0) >= (item.minFiles || 1);
+    case checklistItemKind.BANK_DETAILS:
+      return Boolean(driver.bankDetails?.iban);
+    case checklistItemKind.QUIZ_ACKNOWLEDGEMENT:
+      return Boolean(driver.trainingAcknowledgedAt);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Per-item completion of a driver's onboarding, `vehicle` is the one the
+ * vehicle items are checked on. `missing` lists the required items left.
+ */
+const checklistProgress = (items, driver, vehicle) => {
+  const progress = items.map((item) => ({
+    key: item.key,
+    label: item.label,
+    kind: item.kind,
+    required: item.required,
+    completed: isItemComplete(item, driver, vehicle),
+  }));
+  const missing = progress
+    .filter((item) => item.required && !item.completed)
+    .map((item) => item.key);
+
+  return { items: progress, missing, complete: !missing.length };
+};
+
+// Files are submitted under their item's key, several for vehicle photos
+const checkFiles = (items, filesByKey, { documentsExpiry } = {}, vehicle) => {
+  Object.entries(filesByKey).forEach(([key, files]) => {
+    const item = items.find(
+      (candidate) => candidate.key === key && fileKinds.includes(candidate.kind)
+    );
+    if (!item) {
+      throw new ApiError(`${key} is not part of the onboarding checklist`, 400);
+    }
+
+    const maxFiles =
+      item.kind === checklistItemKind.VEHICLE_PHOTOS ? item.maxFiles : 1;
+    if (files.length > maxFiles) {
+      throw new ApiError(`At most ${maxFiles} files for ${item.label}`, 400);
+    }
+    if (vehicleKinds.includes(item.kind) && !vehicle) {
+      throw new ApiError(`${item.label} needs a vehicle`, 400);
+    }
+    if (
+      item.allowedTypes?.length &&
+      files.some((file) => !item.allowedTypes.includes(file.mimetype))
+    ) {
+      throw new ApiError(
+        `${item.label} must be one of: ${item.allowedTypes.join(", ")}`,
+        400
+      );
+    }
+    if (item.requiresExpiry && !documentsExpiry?.[key]) {
+      throw new ApiError(`Expiry date of ${item.label} is required`, 400);
+    }
+  });
+};
+
+/**
+ * Store the checklist items a driver submitted: files (multer `.any()`),
+ * bank details and the training quiz acknowledgement. Every file is checked
+ * before any is uploaded. Returns the keys of the updated items and the
+ * public ids of the files they replaced, to delete once the driver is saved.
+ */
+const applyChecklistItems = async ({
+  items,
+  driver,
+  vehicle,
+  files = [],
+  body = {},
+}) => {
+  const filesByKey = files.reduce((groups, file) => {
+    (groups[file.fieldname] = groups[file.fieldname] || []).push(file);
+    return groups;
+  }, {});
+  checkFiles(items, filesByKey, body, vehicle);
+
+  const folder = `Swift-Move/Drivers/${driver.driver_info}/Documents`;
+  const uploads = await Promise.all(
+    Object.entries(filesByKey).map(async ([key, keyFiles]) => ({
+      key,
+      stored: await Promise.all(
+        keyFiles.map(async (file) => {
+          const result = await cloudinary.uploader.upload(file.path, {
+            folder,
+          });
+          return { url: result.secure_url, publicId: result.public_id };
+        })
+      ),
+    }))
+  );
+
+  const updated = [];
+  const supersededIds = [];
+
+  uploads.forEach(({ key, stored }) => {
+    const item = items.find((candidate) => candidate.key === key);
+
+    if (item.kind === checklistItemKind.VEHICLE_PHOTOS) {
+      supersededIds.push(...vehicle.photos.map((photo) => photo.publicId));
+      vehicle.photos = stored;
+    } else {
+      const owner = item.kind === checklistItemKind.DOCUMENT ? driver : vehicle;
+      const previous = owner.documents.get(key);
+      if (previous?.publicId) supersededIds.push(previous.publicId);
+
+      owner.documents.set(key, {
+        ...stored[0],
+        label: item.label,
+        expiresAt: body.documentsExpiry?.[key],
+      });
+    }
+    updated.push(key);
+  });
+
+  const bankItem = items.find(
+    (item) => item.kind === checklistItemKind.BANK_DETAILS
+  );
+  if (bankItem && body.bankDetails) {
+    const { accountHolder, bankName, iban } = body.bankDetails;
+    driver.bankDetails = { accountHolder, bankName, iban };
+    updated.push(bankItem.key);
+  }
+
+  const quizItem = items.find(
+    (item) => item.kind === checklistItemKind.QUIZ_ACKNOWLEDGEMENT
+  );
+  if (quizItem && String(body.quizAcknowledged) === "true") {
+    driver.trainingAcknowledgedAt = new Date();
+    updated.push(quizItem.key);
+  }
+
+  return { updated, supersededIds };
+};
+
+// Best effort, the driver already points to the new files
+const deleteSupersededFiles = (publicIds) =>
+  Promise.all(
+    publicIds
+      .filter(Boolean)
+      .map((publicId) =>
+        cloudinary.uploader
+          .destroy(publicId)
+          .catch((err) =>
+            console.error(`Deleting document ${publicId} failed:`, err)
+          )
+      )
+  );
+
+module.exports = {
+  vehicleKinds,
+  getChecklist,
+  checklistProgress,
+  applyChecklistItems,
+  deleteSupersededFiles,
+};
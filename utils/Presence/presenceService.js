@@ -0,0 +1,36 @@
+const usersModel = require("../../models/userModel");
+const MoveRequest = require("../../models/moveRequestModel");
+const { activeMoveStatuses } = require("../Constant/enum");
+
+// Users sharing an active move with the user, the only ones who see their presence
+const getContacts = async (userId) => {
+  const moves = await MoveRequest.find({
+    $or: [{ customer: userId }, { driver: userId }],
+    status: { $in: activeMoveStatuses },
+  }).select("customer driver");
+
+  const contacts = moves.map((move) =>
+    String(move.customer.equals(userId) ? move.driver : move.customer)
+  );
+  return [...new Set(contacts)];
+};
+
+const saveLastSeen = (userId, lastSeen) =>
+  usersModel.updateOne({ _id: userId }, { lastSeen });
+
+// userId -> lastSeen for the given users
+const getLastSeen = async (userIds) => {
+  const found = await usersModel
+    .find({ _id: { $in: userIds } })
+    .select("lastSeen");
+
+  return Object.fromEntries(
+    found.map((user) => [String(user._id), user.lastSeen])
+  );
+};
+
+module.exports = {
+  getContacts,
+  saveLastSeen,
+  getLastSeen,
+};
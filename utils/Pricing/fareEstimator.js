@@ -0,0 +1,92 @@
+const moment = require("moment-timezone");
+
+const ApiError = require("../ApiError");
+const PricingRule = require("../../models/pricingRuleModel");
+const { getRouteMetrics } = require("./routeMetrics");
+const { getActiveVehicleClass } = require("../Vehicles/vehicleClasses");
+
+const APP_TIMEZONE = process.env.APP_TIMEZONE || "Africa/Cairo";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Floors only cost extra when they have to be climbed by stairs
+const chargeableFloors = ({ floor = 0, hasElevator = false } = {}) =>
+  hasElevator ? 0 : Math.max(Number(floor) || 0, 0);
+
+const isNightTime = (rule, time) => {
+  const hour = moment(time).tz(APP_TIMEZONE).hour();
+  const { nightStartHour: start, nightEndHour: end } = rule;
+
+  if (start === end) return false;
+  // window wraps around midnight, e.g. 22 -> 6
+  if (start > end) return hour >= start || hour < end;
+  return hour >= start && hour < end;
+};
+
+/**
+ * Price a move from the vehicle type's pricing rule, scaled by its vehicle
+ * class multiplier.
+ * pickup/dropoff: { coordinates: [lng, lat], floor, hasElevator }
+ */
+const estimateFare = async ({
+  pickup,
+  dropoff,
+  vehicleType,
+  helpers = 0,
+  time = new Date(),
+}) => {
+  const vehicleClass = await getActiveVehicleClass(vehicleType);
+  const rule = await PricingRule.findOne({ vehicleType });
+  if (!rule) {
+    throw new ApiError(
+      `No pricing configured for vehicle type: ${vehicleType}`,
+      404
+    );
+  }
+
+  const route = await getRouteMetrics(
+    pickup.coordinates.map(Number),
+    dropoff.coordinates.map(Number)
+  );
+  const floors = chargeableFloors(pickup) + chargeableFloors(dropoff);
+
+  const breakdown = {
+    baseFare: rule.baseFare,
+    distance: route.distanceKm * rule.perKm,
+    duration: route.durationMin * rule.perMinute,
+    floors: floors * rule.perFloor,
+    helpers: Number(helpers) * rule.perHelper,
+  };
+  let subtotal = Object.values(breakdown).reduce((sum, v) => sum + v, 0);
+
+  breakdown.vehicleAdjustment = subtotal * (vehicleClass.baseMultiplier - 1);
+  subtotal += breakdown.vehicleAdjustment;
+
+  const night = isNightTime(rule, time);
+  breakdown.nightSurcharge = night ? subtotal * (rule.nightMultiplier - 1) : 0;
+
+  const fare = subtotal + breakdown.nightSurcharge;
+  const total = Math.max(fare, rule.minimumFare);
+
+  Object.keys(breakdown).forEach((key) => {
+    breakdown[key] = round(breakdown[key]);
+  });
+
+  return {
+    vehicleType,
+    currency: rule.currency,
+    distanceKm: round(route.distanceKm),
+    durationMin: Math.ceil(route.durationMin),
+    distanceSource: route.source,
+    floors,
+    helpers: Number(helpers),
+    isNight: night,
+    breakdown,
+    minimumFareApplied: fare < rule.minimumFare,
+    total: round(total),
+  };
+};
+
+module.exports = {
+  estimateFare,
+};
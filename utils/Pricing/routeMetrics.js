@@ -0,0 +1,64 @@
+const axios = require("axios");
+
+const EARTH_RADIUS_KM = 6371;
+// used to derive a duration when there's no routing provider
+const AVERAGE_SPEED_KMH = Number(process.env.AVERAGE_SPEED_KMH) || 30;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two [longitude, latitude] pairs in km
+const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// OSRM compatible routing service, e.g. ROUTING_API_URL=https://router.project-osrm.org
+const fetchRoute = async (from, to) => {
+  const { data } = await axios.get(
+    `${process.env.ROUTING_API_URL}/route/v1/driving/${from.join(",")};${to.join(",")}`,
+    { params: { overview: false }, timeout: 5000 }
+  );
+
+  const [route] = data.routes || [];
+  if (!route) throw new Error("Routing provider returned no route");
+
+  return {
+    distanceKm: route.distance / 1000,
+    durationMin: route.duration / 60,
+    source: "routing",
+  };
+};
+
+/**
+ * Driving distance and duration between two points, falling back to the
+ * straight-line distance when no routing provider is configured or it fails.
+ */
+const getRouteMetrics = async (from, to) => {
+  if (process.env.ROUTING_API_URL) {
+    try {
+      return await fetchRoute(from, to);
+    } catch (error) {
+      console.error("Routing provider failed, using haversine:", error.message);
+    }
+  }
+
+  const distanceKm = haversineDistance(from, to);
+  return {
+    distanceKm,
+    durationMin: (distanceKm / AVERAGE_SPEED_KMH) * 60,
+    source: "haversine",
+  };
+};
+
+module.exports = {
+  haversineDistance,
+  getRouteMetrics,
+};
@@ -1,9 +1,27 @@
+const { rateLimit } = require("express-rate-limit");
+
 const ApiError = require("../ApiError");
 
-export const limiter = rateLimit({
+const handler = (req, res, next, options) =>
+  next(new ApiError(options.message, options.statusCode));
+
+// Every route, per IP
+const limiter = rateLimit({
   windowMs: 1 * 60 * 1000,
-  max: 100,
-  handler: (req, res, next, options) => {
-    return next(new ApiError(options.message, options.statusCode));
-  },
+  limit: 100,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  handler,
 });
+
+// Login and password reset, on top of the per-account counters
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 30,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: "Too many attempts from this network, please try again later",
+  handler,
+});
+
+module.exports = { limiter, authLimiter };
@@ -0,0 +1,68 @@
+const moment = require("moment-timezone");
+
+const ApiError = require("../ApiError");
+
+// Local hours (in the customer's timezone) a move may start in, [start, end)
+const OPERATING_HOURS_START = Number(process.env.OPERATING_HOURS_START ?? 8);
+const OPERATING_HOURS_END = Number(process.env.OPERATING_HOURS_END ?? 20);
+const MIN_LEAD_MINUTES = Number(process.env.MIN_BOOKING_LEAD_MINUTES ?? 120);
+// card authorizations expire after 7 days, so slots can't be further away
+const MAX_ADVANCE_DAYS = Number(process.env.MAX_BOOKING_ADVANCE_DAYS ?? 6);
+// how long before the slot drivers start receiving the offer
+const DISPATCH_LEAD_MINUTES = Number(process.env.DISPATCH_LEAD_MINUTES ?? 60);
+const RESCHEDULE_CUTOFF_HOURS = Number(
+  process.env.RESCHEDULE_CUTOFF_HOURS ?? 12
+);
+
+const isValidTimezone = (timezone) => Boolean(moment.tz.zone(timezone));
+
+/**
+ * Parse the requested slot in the customer's timezone and make sure it is
+ * within the operating hours and the lead-time limits. Accepts either a local
+ * time ("2026-10-20T09:30") or an ISO date with an offset.
+ */
+const parseBookingSlot = (scheduledFor, timezone) => {
+  const slot = moment.tz(scheduledFor, moment.ISO_8601, timezone);
+  if (!slot.isValid()) {
+    throw new ApiError("Invalid scheduled time", 400);
+  }
+
+  const now = moment();
+  if (slot.isBefore(now.clone().add(MIN_LEAD_MINUTES, "minutes"))) {
+    throw new ApiError(
+      `Moves must be scheduled at least ${MIN_LEAD_MINUTES} minutes ahead`,
+      400
+    );
+  }
+  if (slot.isAfter(now.clone().add(MAX_ADVANCE_DAYS, "days"))) {
+    throw new ApiError(
+      `Moves can't be scheduled more than ${MAX_ADVANCE_DAYS} days ahead`,
+      400
+    );
+  }
+
+  const hour = slot.hour() + slot.minute() / 60;
+  if (hour < OPERATING_HOURS_START || hour >= OPERATING_HOURS_END) {
+    throw new ApiError(
+      `Moves can only start between ${OPERATING_HOURS_START}:00 and ${OPERATING_HOURS_END}:00 (${timezone})`,
+      400
+    );
+  }
+
+  return slot.toDate();
+};
+
+const getDispatchTime = (scheduledFor) =>
+  new Date(scheduledFor.getTime() - DISPATCH_LEAD_MINUTES * 60 * 1000);
+
+const canReschedule = (scheduledFor) =>
+  Date.now() <
+  scheduledFor.getTime() - RESCHEDULE_CUTOFF_HOURS * 60 * 60 * 1000;
+
+module.exports = {
+  RESCHEDULE_CUTOFF_HOURS,
+  isValidTimezone,
+  parseBookingSlot,
+  getDispatchTime,
+  canReschedule,
+};
@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+
+const AuthAttempt = require("../../models/authAttemptModel");
+const sendEmail = require("../Email/sendEmails");
+const { accountLockedEmailHTML } = require("../Email/emailHtml");
+
+const MINUTE = 60 * 1000;
+
+const ACCOUNT_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// failures are forgotten after a day without new ones
+const FAILURE_WINDOW = 24 * 60 * MINUTE;
+// failures answered right away, each one after that doubles the wait
+const FREE_FAILURES = 2;
+const MAX_DELAY_SECONDS = 60;
+// wrong password reset codes before the code stops working
+const MAX_RESET_CODE_ATTEMPTS =
+  Number(process.env.RESET_CODE_MAX_ATTEMPTS) || 5;
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const plural = (count, unit) => `${count} ${count === 1 ? unit : `${unit}s`}`;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Seconds to wait after the nth failure before trying again
+const delayAfter = (failures) =>
+  failures <= FREE_FAILURES
+    ? 0
+    : Math.min(2 ** (failures - FREE_FAILURES), MAX_DELAY_SECONDS);
+
+const blockOf = (attempt, now) => {
+  if (attempt.lockedUntil > now) {
+    const minutes = Math.ceil((attempt.lockedUntil - now) / MINUTE);
+    return {
+      retryAfter: Math.ceil((attempt.lockedUntil - now) / 1000),
+      message: attempt.key.startsWith("account:")
+        ? `Account locked after too many failed logins, try again in ${plural(minutes, "minute")} or use the link we emailed you`
+        : `Too many failed logins from this network, try again in ${plural(minutes, "minute")}`,
+    };
+  }
+
+  const wait = delayAfter(attempt.failures) * 1000;
+  const nextAttemptAt = attempt.lastFailureAt?.getTime() + wait;
+  if (nextAttemptAt > now) {
+    const retryAfter = Math.ceil((nextAttemptAt - now) / 1000);
+    return {
+      retryAfter,
+      message: `Too many failed logins, try again in ${plural(retryAfter, "second")}`,
+    };
+  }
+  return null;
+};
+
+/**
+ * Whether a login for this email from this IP has to wait: the account or the
+ * IP is locked, or the progressive delay after the last failure isn't over.
+ * Returns { retryAfter, message } or null when the attempt may go ahead.
+ */
+const loginBlock = async (email, ip) => {
+  const now = Date.now();
+  const attempts = await AuthAttempt.find({
+    key: { $in: [accountKey(email), ipKey(ip)] },
+  });
+
+  return attempts.map((attempt) => blockOf(attempt, now)).find(Boolean) || null;
+};
+
+const recordFailure = (key) => {
+  const now = new Date();
+  return AuthAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + FAILURE_WINDOW),
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Lock once the failures reach the limit, only the request that locks it
+// gets the unlock token back. The count starts over when the lock ends.
+const lock = async (attempt) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * MINUTE);
+  const unlockToken = crypto.randomBytes(32).toString("hex");
+
+  const locked = await AuthAttempt.findOneAndUpdate(
+    {
+      _id: attempt._id,
+      failures: attempt.failures,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        failures: 0,
+        lockedUntil,
+        unlockToken: hashToken(unlockToken),
+        expiresAt: new Date(lockedUntil.getTime() + FAILURE_WINDOW),
+      },
+    }
+  );
+  return locked && unlockToken;
+};
+
+const sendUnlockEmail = async (user, unlockToken) => {
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Your account was locked after failed logins",
+      message: accountLockedEmailHTML(
+        user.name.split(" ")[0],
+        LOCKOUT_MINUTES,
+        unlockToken
+      ),
+    });
+  } catch (error) {
+    // the lock still ends on its own
+    console.error(`Unlock email to user ${user._id} failed:`, error);
+  }
+};
+
+/**
+ * Count a failed login against the account and the IP, locking them once
+ * they reach their limit. `user` is the account behind the email if any,
+ * told by email when it gets locked.
+ */
+const recordLoginFailure = async (email, ip, user) => {
+  const [account, network] = await Promise.all([
+    recordFailure(accountKey(email)),
+    recordFailure(ipKey(ip)),
+  ]);
+
+  if (network.failures >= IP_MAX_FAILURES) await lock(network);
+  if (account.failures >= ACCOUNT_MAX_FAILURES) {
+    const unlockToken = await lock(account);
+    if (unlockToken && user) await sendUnlockEmail(user, unlockToken);
+  }
+};
+
+// A successful login starts the account over, the IP keeps its count
+const clearLoginFailures = (email) =>
+  AuthAttempt.deleteOne({ key: accountKey(email) });
+
+// Lift an account lock from the emailed link, false if the link is stale
+const unlockAccount = async (token) => {
+  const { deletedCount } = await AuthAttempt.deleteOne({
+    unlockToken: hashToken(token),
+    lockedUntil: { $gt: new Date() },
+  });
+  return deletedCount > 0;
+};
+
+module.exports = {
+  MAX_RESET_CODE_ATTEMPTS,
+  loginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+};
@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+
+const SecurityEvent = require("../../models/securityEventModel");
+const { createRefreshToken } = require("../createToken");
+const { securityEventType } = require("../Constant/enum");
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days, as the refresh token
+
+// The device a request comes from, shown to the user in their sessions list
+const deviceOf = (req) => ({
+  userAgent: req.get("user-agent"),
+  ip: req.ip,
+});
+
+/**
+ * Issue the next refresh token of a session. The session is the token family:
+ * every rotation replaces its token, and the token carries the session id and
+ * its own id (jti) so it is found without comparing against every session.
+ */
+const issueRefreshToken = async (user, session) => {
+  const tokenId = crypto.randomUUID();
+  const refreshToken = createRefreshToken(user._id, session._id, tokenId);
+
+  session.tokenId = tokenId;
+  session.token = await bcrypt.hash(refreshToken, 10);
+  return refreshToken;
+};
+
+/**
+ * Open a session for a new login: a refresh token stored hashed along with
+ * the device it was issued to. Expired sessions are dropped on the way.
+ * Returns the session and the plain refresh token for the cookie.
+ */
+const startSession = async (user, req) => {
+  const now = new Date();
+  user.refreshTokens = user.refreshTokens.filter(
+    (session) => session.expiresAt > now
+  );
+
+  user.refreshTokens.push({
+    ...deviceOf(req),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL),
+  });
+  const session = user.refreshTokens[user.refreshTokens.length - 1];
+
+  const refreshToken = await issueRefreshToken(user, session);
+  return { session, refreshToken };
+};
+
+// Tokens issued before sessions had ids, only their hash identifies them
+const findLegacySession = async (user, refreshToken) => {
+  for (const session of user.refreshTokens) {
+    if (session.tokenId) continue;
+    if (await bcrypt.compare(refreshToken, session.token)) return session;
+  }
+  return undefined;
+};
+
+/**
+ * Session of a verified refresh token. `reused` is set when the token is a
+ * valid one of the session that was already rotated, so it leaked: whoever
+ * presents it, the other party holds the current one.
+ */
+const findSession = async (user, refreshToken) => {
+  const { sid, jti } = jwt.decode(refreshToken) || {};
+  if (!sid) return { session: await findLegacySession(user, refreshToken) };
+
+  const session = user.refreshTokens.id(sid);
+  if (!session) return {};
+
+  const current =
+    session.tokenId === jti &&
+    (await bcrypt.compare(refreshToken, session.token));
+  return current ? { session } : { session, reused: true };
+};
+
+// Give a session a new refresh token, it stays the same session for the user
+const rotateSession = async (user, session, req) => {
+  const now = new Date();
+
+  Object.assign(session, deviceOf(req), {
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL),
+  });
+
+  return issueRefreshToken(user, session);
+};
+
+/**
+ * Revoke the whole family of a reused refresh token, both the attacker and
+ * the user are signed out of it, and flag the event. Access tokens of the
+ * session stop working with it.
+ */
+const revokeReusedSession = async (user, session, req) => {
+  await user.updateOne({ $pull: { refreshTokens: { _id: session._id } } });
+
+  await SecurityEvent.create({
+    user: user._id,
+    type: securityEventType.REFRESH_TOKEN_REUSE,
+    ...deviceOf(req),
+    details: {
+      session: session._id,
+      sessionUserAgent: session.userAgent,
+      sessionIp: session.ip,
+    },
+  });
+};
+
+module.exports = {
+  SESSION_TTL,
+  startSession,
+  findSession,
+  rotateSession,
+  revokeReusedSession,
+};
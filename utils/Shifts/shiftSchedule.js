@@ -0,0 +1,44 @@
+const moment = require("moment-timezone");
+
+const APP_TIMEZONE = process.env.APP_TIMEZONE || "Africa/Cairo";
+
+// "HH:mm" -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const isWithinShift = (shift, day, minute) => {
+  const start = toMinutes(shift.start);
+  const end = toMinutes(shift.end);
+
+  if (start < end) {
+    return shift.day === day && minute >= start && minute < end;
+  }
+  // overnight: from start on the shift's day until end on the next day
+  return (
+    (shift.day === day && minute >= start) ||
+    ((shift.day + 1) % 7 === day && minute < end)
+  );
+};
+
+const isOnTimeOff = (driver, time) =>
+  driver.timeOff.some(({ from, to }) => from <= time && time < to);
+
+/**
+ * Whether the driver should be working at `time`: inside one of their weekly
+ * shifts, in their own timezone, and not on time off.
+ */
+const isOnShift = (driver, time = new Date()) => {
+  const local = moment(time).tz(driver.timezone || APP_TIMEZONE);
+  const minute = local.hours() * 60 + local.minutes();
+
+  return (
+    driver.shifts.some((shift) => isWithinShift(shift, local.day(), minute)) &&
+    !isOnTimeOff(driver, time)
+  );
+};
+
+module.exports = {
+  isOnShift,
+};
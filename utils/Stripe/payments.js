@@ -0,0 +1,181 @@
+const ApiError = require("../ApiError");
+const Payment = require("../../models/paymentModel");
+const MoveRequest = require("../../models/moveRequestModel");
+const { getStripe } = require("./stripe");
+const { dispatchMove, cancelOffer } = require("../Matching/driverMatching");
+const { emitToUser } = require("../../socketConfig");
+const { paymentStatus, moveStatus } = require("../Constant/enum");
+
+// Stripe amounts are in the currency's smallest unit
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const setStatus = (payment, status, eventId) => {
+  payment.status = status;
+  payment.history.push({ status, eventId });
+};
+
+/**
+ * Create a manual-capture payment intent for a booked move. The customer
+ * confirms it with the returned client secret, which only authorizes the
+ * amount; it is captured once the move is completed.
+ */
+const createPaymentForMove = async (move) => {
+  const intent = await getStripe().paymentIntents.create(
+    {
+      amount: toMinorUnits(move.fare.total),
+      currency: move.fare.currency.toLowerCase(),
+      capture_method: "manual",
+      metadata: {
+        moveId: String(move._id),
+        userId: String(move.customer),
+      },
+    },
+    { idempotencyKey: `move-${move._id}` }
+  );
+
+  const payment = await Payment.create({
+    move: move._id,
+    user: move.customer,
+    stripePaymentIntentId: intent.id,
+    amount: intent.amount,
+    currency: intent.currency,
+    history: [{ status: paymentStatus.PENDING }],
+  });
+
+  return { payment, clientSecret: intent.client_secret };
+};
+
+const capturePaymentForMove = async (moveId) => {
+  const payment = await Payment.findOne({ move: moveId });
+  if (!payment) {
+    throw new ApiError("No payment found for this move", 404);
+  }
+  if (payment.status === paymentStatus.CAPTURED) return payment;
+  if (payment.status !== paymentStatus.AUTHORIZED) {
+    throw new ApiError(
+      `Move payment can't be captured while ${payment.status}`,
+      409
+    );
+  }
+
+  try {
+    await getStripe().paymentIntents.capture(payment.stripePaymentIntentId);
+  } catch (error) {
+    throw new ApiError("Capturing the move payment failed", 502, error);
+  }
+
+  setStatus(payment, paymentStatus.CAPTURED);
+  return payment.save();
+};
+
+// Release the authorization of a move that won't happen
+const cancelPaymentForMove = async (moveId) => {
+  const payment = await Payment.findOne({ move: moveId });
+  if (
+    !payment ||
+    ![paymentStatus.PENDING, paymentStatus.AUTHORIZED].includes(payment.status)
+  ) {
+    return payment;
+  }
+
+  await getStripe().paymentIntents.cancel(payment.stripePaymentIntentId);
+
+  setStatus(payment, paymentStatus.CANCELED);
+  return payment.save();
+};
+
+// Moves no driver has started on yet
+const failableStatuses = [moveStatus.REQUESTED, moveStatus.DRIVER_ASSIGNED];
+
+/**
+ * The move of a payment that can't be collected anymore fails if it hasn't
+ * started yet. A move already under way goes on, and its payment is flagged
+ * for the team to follow up on.
+ */
+// Best effort, an authorization that isn't released expires on its own
+const releasePaymentForMove = (moveId) =>
+  cancelPaymentForMove(moveId).catch((err) =>
+    console.error(`Releasing payment of move ${moveId} failed:`, err)
+  );
+
+const failUnpaidMove = async (payment, reason) => {
+  const move = await MoveRequest.findById(payment.move);
+  if (!move || !move.canTransitionTo(moveStatus.FAILED)) return;
+
+  if (failableStatuses.includes(move.status)) {
+    move.transitionTo(moveStatus.FAILED, { message: reason });
+    await move.save();
+    cancelOffer(move._id);
+    return;
+  }
+
+  payment.followUp = {
+    reason: `${reason} while the move was ${move.status}`,
+    flaggedAt: new Date(),
+  };
+  await payment.save();
+};
+
+const finalStatuses = [paymentStatus.CAPTURED, paymentStatus.CANCELED];
+
+// Stripe event type -> payment status it leads to
+const eventStatuses = {
+  "payment_intent.amount_capturable_updated": paymentStatus.AUTHORIZED,
+  "payment_intent.succeeded": paymentStatus.CAPTURED,
+  "payment_intent.canceled": paymentStatus.CANCELED,
+  "payment_intent.payment_failed": paymentStatus.FAILED,
+};
+
+/**
+ * Apply a verified webhook event to the payment and its move. Redelivered
+ * events are ignored, so Stripe retries are safe.
+ */
+const handleStripeEvent = async (event) => {
+  const status = eventStatuses[event.type];
+  if (!status) return;
+
+  const intent = event.data.object;
+  const payment = await Payment.findOne({
+    stripePaymentIntentId: intent.id,
+  });
+  if (!payment || payment.status === status) return;
+  if (payment.history.some((entry) => entry.eventId === event.id)) return;
+  // events may arrive out of order, settled payments never change again
+  if (finalStatuses.includes(payment.status)) return;
+
+  setStatus(payment, status, event.id);
+  if (status === paymentStatus.FAILED) {
+    payment.failureMessage = intent.last_payment_error?.message;
+  }
+  await payment.save();
+
+  // Drivers are only offered moves the customer can actually pay for,
+  // scheduled moves are left to the scheduler until their dispatch time
+  if (status === paymentStatus.AUTHORIZED) {
+    const move = await MoveRequest.findById(payment.move).select("dispatchAt");
+    if (move && (!move.dispatchAt || move.dispatchAt <= Date.now())) {
+      dispatchMove(payment.move).catch((err) =>
+        console.error(`Dispatching move ${payment.move} failed:`, err)
+      );
+    }
+  }
+  // The customer may retry with another card on the same intent
+  if (status === paymentStatus.FAILED) {
+    emitToUser(payment.user, "move:payment_failed", {
+      moveId: payment.move,
+      reason: payment.failureMessage,
+    });
+  }
+  // Authorization released or expired before the move was completed
+  if (status === paymentStatus.CANCELED) {
+    await failUnpaidMove(payment, "Payment authorization was canceled");
+  }
+};
+
+module.exports = {
+  createPaymentForMove,
+  capturePaymentForMove,
+  cancelPaymentForMove,
+  releasePaymentForMove,
+  handleStripeEvent,
+};
@@ -0,0 +1,23 @@
+const Stripe = require("stripe");
+
+let stripe;
+
+// Created on first use so the app still boots without Stripe credentials.
+// STRIPE_API_HOST/PORT/PROTOCOL point the client to stripe-mock or a local
+// fake (e.g. localhost, 12111, http) so payments can run offline.
+const getStripe = () => {
+  if (!stripe) {
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+      ...(process.env.STRIPE_API_HOST && {
+        host: process.env.STRIPE_API_HOST,
+        port: process.env.STRIPE_API_PORT,
+        protocol: process.env.STRIPE_API_PROTOCOL || "https",
+      }),
+    });
+  }
+  return stripe;
+};
+
+module.exports = {
+  getStripe,
+};
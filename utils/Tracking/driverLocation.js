@@ -0,0 +1,35 @@
+const Driver = require("../../models/driverModel");
+const MoveRequest = require("../../models/moveRequestModel");
+const { activeMoveStatuses } = require("../Constant/enum");
+
+/**
+ * Persist the driver's position and return the move they are currently
+ * working on (if any) so the update can be relayed to its customer.
+ */
+const updateDriverLocation = async (driverId, coordinates) => {
+  const driver = await Driver.findOneAndUpdate(
+    { driver_info: driverId },
+    { currentLocation: { type: "Point", coordinates } },
+    { new: true }
+  );
+  if (!driver) return { driver: null, move: null };
+
+  const move = await MoveRequest.findOne({
+    driver: driverId,
+    status: { $in: activeMoveStatuses },
+  }).select("_id customer status");
+
+  return { driver, move };
+};
+
+// Only the move's customer and assigned driver may follow its live updates
+const canFollowMove = async (moveId, userId) =>
+  MoveRequest.exists({
+    _id: moveId,
+    $or: [{ customer: userId }, { driver: userId }],
+  });
+
+module.exports = {
+  updateDriverLocation,
+  canFollowMove,
+};
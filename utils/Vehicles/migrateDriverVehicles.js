@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const Driver = require("../../models/driverModel");
+
+/**
+ * Move drivers onboarded with a single `vehicle` to the `vehicles` list. The
+ * vehicle takes the driver's approval status and becomes the active one.
+ * Safe to run on every start, migrated drivers no longer match.
+ */
+const migrateDriverVehicles = async () => {
+  const legacyDrivers = await Driver.collection
+    .find({ vehicle: { $exists: true }, vehicles: { $exists: false } })
+    .toArray();
+
+  await Promise.all(
+    legacyDrivers.map(({ _id, vehicle, documents = {}, status }) => {
+      const vehicleId = new mongoose.Types.ObjectId();
+      const accepted = status === "accepted";
+
+      return Driver.collection.updateOne(
+        { _id },
+        {
+          $set: {
+            vehicles: [
+              {
+                _id: vehicleId,
+                ...vehicle,
+                documents: documents.carDrivingLicense
+                  ? { carDrivingLicense: documents.carDrivingLicense }
+                  : {},
+                status: ["accepted", "rejected"].includes(status)
+                  ? status
+                  : "pending",
+              },
+            ],
+            ...(accepted && {
+              activeVehicle: vehicleId,
+              activeVehicleType: vehicle.type,
+            }),
+          },
+          $unset: { vehicle: "", "documents.carDrivingLicense": "" },
+        }
+      );
+    })
+  );
+
+  return legacyDrivers.length;
+};
+
+module.exports = migrateDriverVehicles;
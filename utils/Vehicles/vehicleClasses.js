@@ -0,0 +1,70 @@
+const ApiError = require("../ApiError");
+const VehicleClass = require("../../models/vehicleClassModel");
+const { defaultVehicleClasses } = require("../Constant/vehicleClasses");
+
+// Insert the default classes that don't exist yet, admin edits are kept
+const seedVehicleClasses = () =>
+  VehicleClass.bulkWrite(
+    defaultVehicleClasses.map((vehicleClass) => ({
+      updateOne: {
+        filter: { key: vehicleClass.key },
+        update: { $setOnInsert: vehicleClass },
+        upsert: true,
+      },
+    }))
+  );
+
+// Active class for a vehicle type, throws if it can't be used anymore
+const getActiveVehicleClass = async (key) => {
+  const vehicleClass = await VehicleClass.findOne({ key, active: true });
+  if (!vehicleClass) {
+    throw new ApiError(`Vehicle type is not available: ${key}`, 400);
+  }
+  return vehicleClass;
+};
+
+// A stop needs stairs when it is above the ground floor without an elevator
+const needsStairs = ({ floor = 0, hasElevator = false } = {}) =>
+  !hasElevator && Number(floor) > 0;
+
+/**
+ * Why a vehicle class can't take a move, null when it can.
+ * requirements: { totals: { volume, weight }, helpers, stairs }
+ */
+const vehicleClassProblem = (vehicleClass, { totals, helpers = 0, stairs }) => {
+  if (
+    totals &&
+    (totals.volume > vehicleClass.maxVolume ||
+      totals.weight > vehicleClass.maxWeight)
+  ) {
+    return `A ${vehicleClass.key} can't carry ${totals.volume} m³ / ${totals.weight} kg`;
+  }
+  if (Number(helpers) > vehicleClass.maxHelpers) {
+    return `A ${vehicleClass.key} takes at most ${vehicleClass.maxHelpers} helpers`;
+  }
+  if (stairs && !vehicleClass.allowsStairs) {
+    return `A ${vehicleClass.key} doesn't take moves that need stairs`;
+  }
+  return null;
+};
+
+// Smallest active class that can take the move, null if none can
+const recommendVehicleClass = async (requirements) => {
+  const vehicleClasses = await VehicleClass.find({ active: true }).sort({
+    maxVolume: 1,
+    maxWeight: 1,
+  });
+  return (
+    vehicleClasses.find(
+      (vehicleClass) => !vehicleClassProblem(vehicleClass, requirements)
+    ) || null
+  );
+};
+
+module.exports = {
+  seedVehicleClasses,
+  getActiveVehicleClass,
+  needsStairs,
+  vehicleClassProblem,
+  recommendVehicleClass,
+};
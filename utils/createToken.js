@@ -1,16 +1,21 @@
 const jwt = require("jsonwebtoken");
 
-// Access Token (short-lived)
-const createAccessToken = (userId, role) => {
-  return jwt.sign({ userId, role }, process.env.JWT_ACCESS_SECRET, {
-    expiresIn: "3h",
-  });
+// Access Token (short-lived), tied to the session it was issued for
+const createAccessToken = (userId, role, sessionId) => {
+  return jwt.sign(
+    { userId, role, sid: sessionId },
+    process.env.JWT_ACCESS_SECRET,
+    {
+      expiresIn: "3h",
+    }
+  );
 };
 
-// Refresh Token (long-lived)
-const createRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
+// Refresh Token (long-lived), `tokenId` tells the tokens of a session apart
+const createRefreshToken = (userId, sessionId, tokenId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: "30d",
+    jwtid: tokenId,
   });
 };
 
@@ -0,0 +1,41 @@
+const jwt = require("jsonwebtoken");
+
+const ApiError = require("./ApiError");
+const usersModel = require("../models/userModel");
+const blackListModel = require("../models/blackListModel");
+
+// Resolve the user behind an access token, shared by `protect` and the socket
+// handshake. Throws jwt errors as is, ApiError for revoked or outdated tokens.
+const verifyAccessToken = async (accessToken) => {
+  // 1) Verify token
+  const decoded = jwt.verify(accessToken, process.env.JWT_ACCESS_SECRET);
+
+  // 2) Check blacklist
+  const blacklisted = await blackListModel.exists({ token: accessToken });
+  if (blacklisted) {
+    throw new ApiError("Token revoked, please login again", 401);
+  }
+
+  // 3) Check user exists
+  const currentUser = await usersModel.findById(decoded.userId);
+  if (!currentUser) {
+    throw new ApiError("User no longer exists", 401);
+  }
+
+  // 4) Check password change
+  if (currentUser.passwordChangedAT?.getTime() > decoded.iat * 1000) {
+    throw new ApiError(
+      "Password changed recently! Please login again using the new password.",
+      401
+    );
+  }
+
+  // 5) Check the session wasn't revoked, older tokens carry none
+  if (decoded.sid && !currentUser.refreshTokens.id(decoded.sid)) {
+    throw new ApiError("Session revoked, please login again", 401);
+  }
+
+  return currentUser;
+};
+
+module.exports = verifyAccessToken;